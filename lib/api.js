@@ -0,0 +1,443 @@
+const express = require('express');
+const { randomUUID } = require('crypto');
+const { RESPONSE_MODES, normalizeDeck } = require('./questions');
+const { importDeck, normalizeTemplateName } = require('./decks');
+const { NAME_MODES } = require('./names');
+const { normalizeTeams } = require('./teams');
+const { normalizeSchedule } = require('./assignments');
+const { EXPORT_FORMATS, buildExport, toCsv } = require('./export');
+const { createRateLimiter } = require('./rateLimit');
+const { DEFAULT_MAX_UPLOAD_BYTES, DEFAULT_MAX_UPLOAD_STORAGE_BYTES, createUpload } = require('./uploads');
+const { localized } = require('./i18n');
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024
+    ? localized('units.megabytes', { count: Number((bytes / (1024 * 1024)).toFixed(1)) })
+    : localized('units.kilobytes', { count: Math.ceil(bytes / 1024) });
+}
+
+// Errors carry a stable `code` for scripts and an `error` message in the
+// language of the request's Accept-Language header. `translate(req, message)`
+// turns a localized() descriptor into text.
+function sendError(res, translate, status, code, message, extra = {}) {
+  res.status(status).json({ code, error: translate(res.req, message), ...extra });
+}
+
+function createApiRouter({
+  games,
+  storage,
+  auth,
+  logger,
+  translate,
+  getClientIp,
+  codeLimiter,
+  maxUploadBytes = DEFAULT_MAX_UPLOAD_BYTES,
+  maxUploadStorageBytes = DEFAULT_MAX_UPLOAD_STORAGE_BYTES,
+  createGame,
+  serializeGameSummary,
+  serializeGameDetail,
+  serializeResults,
+}) {
+  const router = express.Router();
+  // Failed sign-ins per IP address, on the same budget as unknown game codes.
+  const loginLimiter = createRateLimiter({ capacity: 10, refillPerSecond: 10 / 60 });
+  // Uploads per IP address, whether or not they succeed.
+  const uploadLimiter = createRateLimiter({ capacity: 30, refillPerSecond: 30 / 600 });
+  setInterval(() => {
+    loginLimiter.prune();
+    uploadLimiter.prune();
+  }, 60000).unref();
+  const readImage = express.raw({ type: () => true, limit: maxUploadBytes });
+
+  function fail(res, status, code, message, extra) {
+    sendError(res, translate, status, code, message, extra);
+  }
+
+  // Games and sessions belong to the host who created them once sign-in is on.
+  function isOwnedBy(req, record) {
+    return !auth.required || record.owner === req.owner;
+  }
+
+  // Results and answers are for the host alone. Every player knows the game
+  // code, so without sign-in the host token stands in for a session, for live
+  // games and archived sessions alike. It comes
+  // in X-Host-Token, or in the `hostToken` query parameter for download links.
+  function isHostOf(req, record) {
+    const hostToken = req.get('X-Host-Token') || req.query.hostToken;
+    return auth.required ? isOwnedBy(req, record) : Boolean(hostToken) && record.hostToken === hostToken;
+  }
+
+  // A game code is all it takes to read a game without sign-in, so failed
+  // lookups spend from the same per-IP budget as codes sent over the WebSocket.
+  function findGame(req, res, { hostOnly = false } = {}) {
+    const ip = getClientIp(req);
+    if (!codeLimiter.peek(ip)) {
+      fail(res, 429, 'TOO_MANY_ATTEMPTS', localized('errors.tooManyAttempts'));
+      return null;
+    }
+    const game = games.get(req.params.code);
+    if (!game || !(hostOnly ? isHostOf(req, game) : isOwnedBy(req, game))) {
+      codeLimiter.take(ip);
+      fail(res, 404, 'GAME_NOT_FOUND', localized('errors.gameNotFound'));
+      return null;
+    }
+    return game;
+  }
+
+  function sendExport(req, res, session) {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      fail(res, 400, 'INVALID_FORMAT', localized('api.invalidExportFormat', { formats: EXPORT_FORMATS.join(', ') }));
+      return;
+    }
+    const { leaderboard, teamStandings } = serializeResults(session);
+    const data = buildExport({
+      session,
+      leaderboard,
+      teamStandings,
+      includeAnswers: ['1', 'true'].includes(req.query.answers),
+    });
+    res.attachment(`kaboot-${session.code}-${data.createdAt.slice(0, 10)}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(data));
+    } else {
+      res.type('application/json').send(JSON.stringify(data, null, 2));
+    }
+  }
+
+  router.get('/auth/session', (req, res) => {
+    res.json({ required: auth.required, mode: auth.mode, owner: auth.ownerFromRequest(req) });
+  });
+
+  router.post('/auth/login', (req, res, next) => {
+    const ip = getClientIp(req);
+    if (!loginLimiter.peek(ip)) {
+      fail(res, 429, 'TOO_MANY_ATTEMPTS', localized('api.tooManySignIns'));
+      return;
+    }
+    auth
+      .login(req.body || {})
+      .then((owner) => {
+        if (!owner) {
+          loginLimiter.take(ip);
+          logger.warn('host_sign_in_failed', { ip });
+          fail(res, 401, 'INVALID_CREDENTIALS', localized('api.invalidCredentials'));
+          return;
+        }
+        const { token, expiresAt } = auth.createSession(owner);
+        logger.info('host_signed_in', { owner, ip });
+        res.setHeader('Set-Cookie', auth.sessionCookie(token, { secure: req.secure }));
+        res.json({ owner, token, expiresAt });
+      })
+      .catch(next);
+  });
+
+  router.post('/auth/logout', (req, res) => {
+    res.setHeader('Set-Cookie', auth.sessionCookie(null, { secure: req.secure }));
+    res.status(204).end();
+  });
+
+  // Everything below needs a signed-in host when sign-in is on.
+  router.use((req, res, next) => {
+    req.owner = auth.ownerFromRequest(req);
+    if (auth.required && !req.owner) {
+      fail(res, 401, 'UNAUTHORIZED', localized('api.signInFirst'));
+      return;
+    }
+    next();
+  });
+
+  router.post('/games', (req, res, next) => {
+    const deck = normalizeDeck(req.body || {});
+    if (deck.error) {
+      fail(res, 400, 'INVALID_DECK', deck.error);
+      return;
+    }
+    const nameMode = (req.body && req.body.nameMode) || 'free';
+    if (!NAME_MODES.includes(nameMode)) {
+      fail(res, 400, 'INVALID_NAME_MODE', localized('api.invalidNameMode', { modes: NAME_MODES.join(', ') }));
+      return;
+    }
+    const responseMode = (req.body && req.body.responseMode) || 'named';
+    if (!RESPONSE_MODES.includes(responseMode)) {
+      fail(res, 400, 'INVALID_RESPONSE_MODE', localized('api.invalidResponseMode', { modes: RESPONSE_MODES.join(', ') }));
+      return;
+    }
+    const teamSettings = normalizeTeams({ teamMode: req.body.teamMode, teams: req.body.teams });
+    if (teamSettings.error) {
+      fail(res, 400, 'INVALID_TEAMS', teamSettings.error);
+      return;
+    }
+    const schedule = normalizeSchedule({
+      paceMode: req.body.paceMode,
+      opensAt: req.body.opensAt,
+      closesAt: req.body.closesAt,
+    });
+    if (schedule.error) {
+      fail(res, 400, 'INVALID_SCHEDULE', schedule.error);
+      return;
+    }
+    createGame(deck.questions, { nameMode, responseMode, ...teamSettings, ...schedule, owner: req.owner })
+      .then((game) => {
+        res.status(201).json({
+          code: game.code,
+          hostToken: game.hostToken,
+          questions: game.questions,
+          nameMode: game.nameMode,
+          responseMode: game.responseMode,
+          teamMode: game.teamMode,
+          teams: game.teams,
+          paceMode: game.paceMode,
+          opensAt: game.opensAt,
+          closesAt: game.closesAt,
+        });
+      })
+      .catch(next);
+  });
+
+  // Without sign-in, listing every live game would hand out their codes, so only
+  // the game whose host token is sent is listed.
+  router.get('/games', (req, res) => {
+    res.json({
+      games: Array.from(games.values())
+        .filter((game) => isHostOf(req, game))
+        .map(serializeGameSummary),
+    });
+  });
+
+  router.get('/games/:code', (req, res) => {
+    const game = findGame(req, res);
+    if (game) {
+      res.json(serializeGameDetail(game));
+    }
+  });
+
+  router.get('/games/:code/results', (req, res) => {
+    const game = findGame(req, res, { hostOnly: true });
+    if (game) {
+      res.json(serializeResults({ ...game, players: Array.from(game.players.values()) }));
+    }
+  });
+
+  router.get('/games/:code/export', (req, res) => {
+    const game = findGame(req, res, { hostOnly: true });
+    if (game) {
+      sendExport(req, res, { ...game, players: Array.from(game.players.values()) });
+    }
+  });
+
+  router.post('/decks/import', (req, res) => {
+    const { filename, format, content } = req.body || {};
+    const result = importDeck({ filename, format, content });
+    if (result.error) {
+      fail(res, 400, 'INVALID_DECK', result.error, {
+        errors: (result.errors || []).map(({ row, message }) => ({
+          row: translate(req, row),
+          message: translate(req, message),
+        })),
+      });
+      return;
+    }
+    res.json({ name: result.name, questions: result.questions });
+  });
+
+  // Without sign-in, the host of a live game proves it with the game's host token.
+  function isHost(req) {
+    const token = req.get('X-Host-Token');
+    return auth.required || Boolean(token && Array.from(games.values()).some((game) => game.hostToken === token));
+  }
+
+  // The image is the raw request body, sent with its own Content-Type.
+  router.post('/uploads', (req, res, next) => {
+    if (!isHost(req)) {
+      fail(res, 401, 'UNAUTHORIZED', localized('api.uploadNeedsGame'));
+      return;
+    }
+    if (!uploadLimiter.take(getClientIp(req))) {
+      fail(res, 429, 'TOO_MANY_UPLOADS', localized('api.tooManyUploads'));
+      return;
+    }
+    readImage(req, res, (error) => {
+      if (error && error.type === 'entity.too.large') {
+        fail(res, 413, 'UPLOAD_TOO_LARGE', localized('api.uploadTooLarge', { size: formatSize(maxUploadBytes) }));
+        return;
+      }
+      if (error) {
+        next(error);
+        return;
+      }
+      const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const { upload, error: uploadError } = createUpload(data);
+      if (uploadError) {
+        fail(res, 415, 'UNSUPPORTED_IMAGE', uploadError);
+        return;
+      }
+      Promise.all([storage.getUpload(upload.id), storage.uploadBytes()])
+        .then(async ([existing, storedBytes]) => {
+          if (!existing && storedBytes + upload.size > maxUploadStorageBytes) {
+            logger.warn('upload_storage_full', { storedBytes, limit: maxUploadStorageBytes });
+            fail(res, 507, 'UPLOAD_STORAGE_FULL', localized('api.uploadStorageFull'));
+            return;
+          }
+          if (!existing) {
+            await storage.saveUpload(upload.id, data);
+          }
+          logger.info('image_uploaded', { uploadId: upload.id, size: upload.size, owner: req.owner });
+          res.status(201).json(upload);
+        })
+        .catch(next);
+    });
+  });
+
+  router.get('/templates', (req, res, next) => {
+    storage
+      .listTemplates()
+      .then((templates) => {
+        res.json({
+          templates: templates
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map((template) => ({
+              id: template.id,
+              name: template.name,
+              questionCount: template.questions.length,
+              updatedAt: template.updatedAt,
+            })),
+        });
+      })
+      .catch(next);
+  });
+
+  router.post('/templates', (req, res, next) => {
+    const body = req.body || {};
+    const named = normalizeTemplateName(body.name);
+    if (named.error) {
+      fail(res, 400, 'INVALID_TEMPLATE_NAME', named.error);
+      return;
+    }
+    const deck = normalizeDeck({ questions: Array.isArray(body.questions) ? body.questions : [] });
+    if (deck.error) {
+      fail(res, 400, 'INVALID_DECK', deck.error);
+      return;
+    }
+    storage
+      .listTemplates()
+      .then(async (templates) => {
+        const existing = templates.find((template) => template.name.toLowerCase() === named.name.toLowerCase());
+        const template = {
+          id: existing ? existing.id : randomUUID(),
+          name: named.name,
+          questions: deck.questions,
+          createdAt: existing ? existing.createdAt : Date.now(),
+          updatedAt: Date.now(),
+        };
+        await storage.saveTemplate(template);
+        res.status(existing ? 200 : 201).json(template);
+      })
+      .catch(next);
+  });
+
+  router.get('/templates/:id', (req, res, next) => {
+    storage
+      .getTemplate(req.params.id)
+      .then((template) => {
+        if (!template) {
+          fail(res, 404, 'TEMPLATE_NOT_FOUND', localized('api.templateNotFound'));
+          return;
+        }
+        res.json(template);
+      })
+      .catch(next);
+  });
+
+  router.delete('/templates/:id', (req, res, next) => {
+    storage
+      .getTemplate(req.params.id)
+      .then(async (template) => {
+        if (!template) {
+          fail(res, 404, 'TEMPLATE_NOT_FOUND', localized('api.templateNotFound'));
+          return;
+        }
+        await storage.deleteTemplate(template.id);
+        res.status(204).end();
+      })
+      .catch(next);
+  });
+
+  // Finished sessions keep their host token, so without sign-in a host still sees
+  // only their own.
+  router.get('/sessions', (req, res, next) => {
+    storage
+      .listSessions()
+      .then((sessions) => {
+        res.json({
+          sessions: sessions
+            .filter((session) => isHostOf(req, session))
+            .sort((a, b) => b.endedAt - a.endedAt)
+            .map((session) => ({
+              id: session.id,
+              code: session.code,
+              createdAt: session.createdAt,
+              endedAt: session.endedAt,
+              totalQuestions: session.questions.length,
+              playerCount: session.players.length,
+            })),
+        });
+      })
+      .catch(next);
+  });
+
+  router.get('/sessions/:id', (req, res, next) => {
+    storage
+      .getSession(req.params.id)
+      .then((session) => {
+        if (!session || !isHostOf(req, session)) {
+          fail(res, 404, 'SESSION_NOT_FOUND', localized('api.sessionNotFound'));
+          return;
+        }
+        res.json(serializeResults(session));
+      })
+      .catch(next);
+  });
+
+  router.get('/sessions/:id/export', (req, res, next) => {
+    storage
+      .getSession(req.params.id)
+      .then((session) => {
+        if (!session || !isHostOf(req, session)) {
+          fail(res, 404, 'SESSION_NOT_FOUND', localized('api.sessionNotFound'));
+          return;
+        }
+        sendExport(req, res, session);
+      })
+      .catch(next);
+  });
+
+  router.use((req, res) => {
+    fail(res, 404, 'NOT_FOUND', localized('api.unknownRoute'));
+  });
+
+  return router;
+}
+
+// Registered on the app rather than the router so that it also sees body parsing
+// errors raised by express.json() before the router runs.
+function createApiErrorHandler({ logger, translate }) {
+  return (error, req, res, next) => {
+    if (res.headersSent) {
+      next(error);
+      return;
+    }
+    if (error.type === 'entity.parse.failed') {
+      sendError(res, translate, 400, 'INVALID_JSON', localized('errors.invalidJson'));
+      return;
+    }
+    if (error.type === 'entity.too.large') {
+      sendError(res, translate, 413, 'PAYLOAD_TOO_LARGE', localized('api.payloadTooLarge'));
+      return;
+    }
+    logger.error('api_request_failed', { method: req.method, path: req.originalUrl, error });
+    sendError(res, translate, 500, 'SERVER_ERROR', localized('api.serverError'));
+  };
+}
+
+module.exports = { createApiRouter, createApiErrorHandler };
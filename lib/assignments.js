@@ -0,0 +1,42 @@
+const { localized } = require('./i18n');
+
+const PACE_MODES = ['live', 'self'];
+// Assignments wait for their opening and closing times with setTimeout, which
+// fires straight away for delays over about 24.8 days.
+const MAX_ASSIGNMENT_DAYS = 21;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isTimestamp(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Times are milliseconds since the epoch. Live games have no schedule; a
+// self-paced game needs a closing time and opens straight away unless
+// `opensAt` is given.
+function normalizeSchedule({ paceMode = 'live', opensAt = null, closesAt = null } = {}, now = Date.now()) {
+  if (!PACE_MODES.includes(paceMode)) {
+    return { error: localized('assignments.invalidMode', { modes: PACE_MODES.join(', ') }) };
+  }
+  if (paceMode === 'live') {
+    return { paceMode, opensAt: null, closesAt: null };
+  }
+  if (!isTimestamp(closesAt)) {
+    return { error: localized('assignments.closesAtRequired') };
+  }
+  if (opensAt !== null && !isTimestamp(opensAt)) {
+    return { error: localized('assignments.invalidOpensAt') };
+  }
+  const opens = opensAt === null ? now : opensAt;
+  if (closesAt <= now) {
+    return { error: localized('assignments.closesInPast') };
+  }
+  if (closesAt <= opens) {
+    return { error: localized('assignments.closesBeforeOpening') };
+  }
+  if (closesAt - now > MAX_ASSIGNMENT_DAYS * DAY_MS) {
+    return { error: localized('assignments.tooLong', { count: MAX_ASSIGNMENT_DAYS }) };
+  }
+  return { paceMode, opensAt: opens, closesAt };
+}
+
+module.exports = { PACE_MODES, normalizeSchedule };
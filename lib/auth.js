@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_MODES = ['none', 'secret', 'accounts'];
+const SESSION_COOKIE = 'kaboot_host';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9._-]{1,40}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+// Everyone who knows the shared secret signs in as this single owner.
+const SHARED_OWNER = 'host';
+const DEFAULT_ACCOUNTS_FILE = path.join(__dirname, '..', 'data', 'hosts.json');
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compares digests so the comparison takes as long whatever the input length.
+function safeEqual(given, expected) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function readAccounts(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).accounts || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function writeAccounts(filePath, accounts) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify({ accounts }, null, 2)}\n`, { mode: 0o600 });
+}
+
+function parseCookies(header) {
+  return String(header || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .reduce((cookies, [name, ...value]) => ({ ...cookies, [name]: decodeURIComponent(value.join('=')) }), {});
+}
+
+// Host sign-in for the dashboard, the REST API and host WebSockets. Sessions
+// are signed tokens rather than server-side records, so every instance that
+// shares the signing key accepts them. Without AUTH_SESSION_SECRET the key is
+// derived from the shared secret, or made up at startup in accounts mode.
+function createAuth({ mode = 'none', secret, accountsFile = DEFAULT_ACCOUNTS_FILE, sessionSecret } = {}) {
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown host auth mode "${mode}". Use "none", "secret" or "accounts".`);
+  }
+  if (mode === 'secret' && !secret) {
+    throw new Error('HOST_AUTH=secret needs HOST_SECRET to be set.');
+  }
+  const signingKey =
+    sessionSecret ||
+    (mode === 'secret'
+      ? crypto.createHmac('sha256', secret).update('kaboot-session').digest()
+      : crypto.randomBytes(32));
+  // Unknown usernames are checked against this so they take as long as wrong passwords.
+  const decoyHash = mode === 'accounts' ? hashPassword(crypto.randomBytes(16).toString('hex')) : null;
+
+  function signature(payload) {
+    return crypto.createHmac('sha256', signingKey).update(payload).digest('base64url');
+  }
+
+  function readToken(token) {
+    const [payload, given] = String(token || '').split('.');
+    if (!payload || !given || !safeEqual(given, signature(payload))) {
+      return null;
+    }
+    try {
+      const { owner, expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return typeof owner === 'string' && expiresAt > Date.now() ? owner : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    mode,
+    required: mode !== 'none',
+    // Resolves to the owner name, or null when the credentials are wrong.
+    async login({ username, password, secret: givenSecret } = {}) {
+      if (mode === 'secret') {
+        return typeof givenSecret === 'string' && safeEqual(givenSecret, secret) ? SHARED_OWNER : null;
+      }
+      if (mode !== 'accounts' || typeof username !== 'string' || typeof password !== 'string') {
+        return null;
+      }
+      // Read on every sign-in so accounts added from the command line work at once.
+      const account = readAccounts(accountsFile).find(
+        (entry) => entry.username.toLowerCase() === username.trim().toLowerCase()
+      );
+      const valid = await verifyPassword(password, account ? account.passwordHash : await decoyHash);
+      return account && valid ? account.username : null;
+    },
+    createSession(owner) {
+      const expiresAt = Date.now() + SESSION_TTL_MS;
+      const payload = Buffer.from(JSON.stringify({ owner, expiresAt })).toString('base64url');
+      return { token: `${payload}.${signature(payload)}`, expiresAt };
+    },
+    // The owner signed in on an HTTP or WebSocket upgrade request, from the
+    // session cookie or an `Authorization: Bearer` header.
+    ownerFromRequest(req) {
+      const header = req.headers.authorization || '';
+      const token = header.startsWith('Bearer ') ? header.slice(7) : parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      return readToken(token);
+    },
+    sessionCookie(token, { secure = false } = {}) {
+      const maxAge = token ? SESSION_TTL_MS / 1000 : 0;
+      const attributes = `Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+      return `${SESSION_COOKIE}=${token || ''}; ${attributes}`;
+    },
+  };
+}
+
+module.exports = {
+  USERNAME_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  DEFAULT_ACCOUNTS_FILE,
+  hashPassword,
+  readAccounts,
+  writeAccounts,
+  createAuth,
+};
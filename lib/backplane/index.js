@@ -0,0 +1,27 @@
+const { createMemoryBackplane } = require('./memory');
+const { createRedisBackplane } = require('./redis');
+
+// Each game lives on the instance that created it. The backplane records which
+// instance owns which game code and carries messages between instances, so a
+// connection that lands on the wrong instance can be relayed to the owner.
+// Every backplane implements the same promise-based interface:
+//   instanceId              -> the id other instances use to reach this one
+//   claimGame(code)         -> true if the code is now owned by this instance
+//   findGame(code)          -> the id of the instance that owns the code, or null
+//   releaseGame(code)       -> give up a code this instance owns
+//   publish(instanceId, e)  -> deliver the envelope `e` to that instance
+//   subscribe(handler)      -> call handler(envelope) for envelopes sent here
+//   onClaimLost(handler)    -> call handler(code) when another instance took a code this one owned
+//   close()                 -> disconnect before the process exits
+function createBackplane({ driver = 'memory', url, instanceId, logger }) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryBackplane({ instanceId });
+    case 'redis':
+      return createRedisBackplane({ url, instanceId, logger });
+    default:
+      throw new Error(`Unknown backplane driver "${driver}". Use "memory" or "redis".`);
+  }
+}
+
+module.exports = { createBackplane };
@@ -0,0 +1,31 @@
+// A single instance owns every game, so there is never anyone to relay to.
+function createMemoryBackplane({ instanceId }) {
+  const handlers = [];
+  const codes = new Set();
+
+  return {
+    instanceId,
+    async claimGame(code) {
+      codes.add(code);
+      return true;
+    },
+    async findGame(code) {
+      return codes.has(code) ? instanceId : null;
+    },
+    async releaseGame(code) {
+      codes.delete(code);
+    },
+    async publish(target, envelope) {
+      if (target === instanceId) {
+        handlers.forEach((handler) => handler(envelope));
+      }
+    },
+    async subscribe(handler) {
+      handlers.push(handler);
+    },
+    onClaimLost() {},
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryBackplane };
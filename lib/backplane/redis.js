@@ -0,0 +1,115 @@
+const { createRespClient } = require('./resp');
+
+// Ownership keys expire unless the owner keeps refreshing them, so the codes of
+// an instance that crashed become free again instead of pointing nowhere.
+const CLAIM_TTL_MS = 30000;
+const REFRESH_INTERVAL_MS = 10000;
+
+function gameKey(code) {
+  return `kaboot:game:${code}`;
+}
+
+function instanceChannel(instanceId) {
+  return `kaboot:instance:${instanceId}`;
+}
+
+function createRedisBackplane({
+  url,
+  instanceId,
+  logger,
+  claimTtlMs = CLAIM_TTL_MS,
+  refreshIntervalMs = REFRESH_INTERVAL_MS,
+}) {
+  // A connection that has subscribed to a channel cannot run other commands.
+  const commands = createRespClient({ url });
+  const subscriber = createRespClient({ url });
+  const handlers = [];
+  const claimLostHandlers = [];
+  const codes = new Set();
+
+  const logError = (error) => {
+    logger.warn('backplane_error', { error: error.message });
+  };
+  commands.on('error', logError);
+  subscriber.on('error', logError);
+
+  subscriber.on('message', (channel, payload) => {
+    if (channel !== instanceChannel(instanceId)) {
+      return;
+    }
+    let envelope;
+    try {
+      envelope = JSON.parse(payload);
+    } catch (error) {
+      logger.warn('backplane_invalid_message', { channel });
+      return;
+    }
+    handlers.forEach((handler) => handler(envelope));
+  });
+
+  // Only a key that still names this instance is extended. One that expired,
+  // for example because Redis restarted, is claimed again. If another instance
+  // took the code in the meantime, the code is given up rather than taken back.
+  async function refreshClaim(code) {
+    const key = gameKey(code);
+    const owner = await commands.command('GET', key);
+    if (owner === instanceId && (await commands.command('PEXPIRE', key, claimTtlMs)) === 1) {
+      return;
+    }
+    const reclaimed =
+      (owner === instanceId || owner === null) &&
+      codes.has(code) &&
+      (await commands.command('SET', key, instanceId, 'NX', 'PX', claimTtlMs)) === 'OK';
+    if (!reclaimed && codes.delete(code)) {
+      logger.warn('game_claim_lost', { code, owner });
+      claimLostHandlers.forEach((handler) => handler(code));
+    }
+  }
+
+  const refreshTimer = setInterval(() => {
+    codes.forEach((code) => {
+      refreshClaim(code).catch(logError);
+    });
+  }, refreshIntervalMs);
+  refreshTimer.unref();
+
+  return {
+    instanceId,
+    async claimGame(code) {
+      const created = await commands.command('SET', gameKey(code), instanceId, 'NX', 'PX', claimTtlMs);
+      // A restarted instance may find its own claim from before the restart.
+      const claimed = created === 'OK' || (await commands.command('GET', gameKey(code))) === instanceId;
+      if (claimed) {
+        codes.add(code);
+      }
+      return claimed;
+    },
+    async findGame(code) {
+      return commands.command('GET', gameKey(code));
+    },
+    async releaseGame(code) {
+      codes.delete(code);
+      if ((await commands.command('GET', gameKey(code))) === instanceId) {
+        await commands.command('DEL', gameKey(code));
+      }
+    },
+    async publish(target, envelope) {
+      await commands.command('PUBLISH', instanceChannel(target), JSON.stringify(envelope));
+    },
+    async subscribe(handler) {
+      handlers.push(handler);
+      if (handlers.length === 1) {
+        await subscriber.subscribe(instanceChannel(instanceId));
+      }
+    },
+    onClaimLost(handler) {
+      claimLostHandlers.push(handler);
+    },
+    async close() {
+      clearInterval(refreshTimer);
+      await Promise.all([commands.close(), subscriber.close()]);
+    },
+  };
+}
+
+module.exports = { createRedisBackplane };
@@ -0,0 +1,188 @@
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+
+const MAX_RECONNECT_DELAY_MS = 5000;
+
+function encodeCommand(args) {
+  const parts = args.map((arg) => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  });
+  return `*${args.length}\r\n${parts.join('')}`;
+}
+
+// Returns { value, offset } for one complete reply starting at `offset`, or
+// null when the buffer does not hold all of it yet.
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const prefix = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+  switch (prefix) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let index = 0; index < count; index += 1) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected reply from the Redis server: ${JSON.stringify(line)}`);
+  }
+}
+
+// A small RESP2 client: enough for keys and pub/sub against Redis or anything
+// that speaks its protocol (Valkey, KeyDB, a local stand-in). Channels are
+// subscribed again after every reconnect.
+function createRespClient({ url = 'redis://127.0.0.1:6379' } = {}) {
+  const parsed = new URL(url);
+  const secure = parsed.protocol === 'rediss:';
+  const port = Number(parsed.port) || 6379;
+  const database = Number(parsed.pathname.slice(1)) || 0;
+  const client = new EventEmitter();
+  const backlog = [];
+  const pending = [];
+  const channels = new Set();
+  let socket = null;
+  let connected = false;
+  let closing = false;
+  let buffer = Buffer.alloc(0);
+  let reconnectAttempts = 0;
+
+  function write(args, callbacks) {
+    pending.push(callbacks);
+    socket.write(encodeCommand(args));
+  }
+
+  function handshake() {
+    const noop = { resolve() {}, reject: (error) => client.emit('error', error) };
+    if (parsed.password) {
+      const auth = parsed.username
+        ? ['AUTH', decodeURIComponent(parsed.username), decodeURIComponent(parsed.password)]
+        : ['AUTH', decodeURIComponent(parsed.password)];
+      write(auth, noop);
+    }
+    if (database) {
+      write(['SELECT', database], noop);
+    }
+    channels.forEach((channel) => write(['SUBSCRIBE', channel], noop));
+  }
+
+  function handleData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    let reply;
+    while (offset < buffer.length && (reply = parseReply(buffer, offset))) {
+      offset = reply.offset;
+      const { value } = reply;
+      if (Array.isArray(value) && value[0] === 'message') {
+        client.emit('message', value[1], value[2]);
+      } else {
+        const callbacks = pending.shift();
+        if (callbacks && value instanceof Error) {
+          callbacks.reject(value);
+        } else if (callbacks) {
+          callbacks.resolve(value);
+        }
+      }
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function connect() {
+    if (closing) {
+      return;
+    }
+    const options = { host: parsed.hostname, port };
+    socket = secure ? tls.connect({ ...options, servername: parsed.hostname }) : net.connect(options);
+    socket.setNoDelay(true);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      connected = true;
+      reconnectAttempts = 0;
+      handshake();
+      backlog.splice(0).forEach(({ args, callbacks }) => write(args, callbacks));
+    });
+    socket.on('data', handleData);
+    socket.on('error', (error) => {
+      client.emit('error', error);
+    });
+    socket.on('close', () => {
+      connected = false;
+      buffer = Buffer.alloc(0);
+      // Commands fail rather than wait for a server that may not come back;
+      // only those sent while a reconnect is in progress get another chance.
+      [...pending.splice(0), ...backlog.splice(0).map(({ callbacks }) => callbacks)].forEach((callbacks) =>
+        callbacks.reject(new Error('The Redis connection was closed.'))
+      );
+      if (closing) {
+        return;
+      }
+      const delay = Math.min(100 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+      reconnectAttempts += 1;
+      setTimeout(connect, delay).unref();
+    });
+  }
+
+  client.command = (...args) =>
+    new Promise((resolve, reject) => {
+      if (closing) {
+        reject(new Error('The Redis client is closed.'));
+      } else if (connected) {
+        write(args, { resolve, reject });
+      } else {
+        backlog.push({ args, callbacks: { resolve, reject } });
+      }
+    });
+
+  client.subscribe = (channel) => {
+    channels.add(channel);
+    return client.command('SUBSCRIBE', channel);
+  };
+
+  client.close = () => {
+    closing = true;
+    backlog.splice(0).forEach(({ callbacks }) => callbacks.reject(new Error('The Redis client is closed.')));
+    if (!socket || socket.destroyed) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      socket.once('close', resolve);
+      socket.end();
+    });
+  };
+
+  connect();
+  return client;
+}
+
+module.exports = { createRespClient, parseReply };
@@ -0,0 +1,184 @@
+const { localized } = require('./i18n');
+const { MAX_QUESTIONS, validateQuestions } = require('./questions');
+
+const DECK_FORMATS = ['json', 'csv'];
+const MAX_TEMPLATE_NAME_LENGTH = 60;
+
+// A small RFC 4180 parser: quoted fields may contain commas, doubled quotes and
+// line breaks. Returns one `{ line, cells }` per record, where `line` is the
+// line of the file it starts on, or null when a quoted field is never closed.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+        if (char === '\n' || (char === '\r' && text[index + 1] !== '\n')) {
+          line += 1;
+        }
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      record.push(field);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      field = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    return null;
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push({ line: recordLine, cells: record });
+  }
+  return records;
+}
+
+function parseNumber(value) {
+  const trimmed = (value || '').trim();
+  return trimmed ? Number(trimmed) : null;
+}
+
+function parseBoolean(value) {
+  return /^(1|true|yes|y)$/i.test((value || '').trim());
+}
+
+function csvRowToQuestion(header, cells) {
+  const row = {};
+  header.forEach((column, index) => {
+    row[column] = (cells[index] || '').trim();
+  });
+  const optionColumns = header
+    .filter((column) => /^option_?\d+$/.test(column))
+    .sort((a, b) => Number(a.replace(/\D/g, '')) - Number(b.replace(/\D/g, '')));
+  const correct = (row.correct || '')
+    .split(/[|;]/)
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map((value) => (/^\d+$/.test(value) ? Number(value) - 1 : NaN));
+  return {
+    type: row.type || undefined,
+    question: row.question,
+    options: optionColumns.map((column) => row[column]),
+    correct,
+    timeLimit: parseNumber(row.time_limit),
+    maxChoices: parseNumber(row.max_choices),
+    scale: parseNumber(row.scale),
+    allowChanges: parseBoolean(row.allow_changes),
+  };
+}
+
+function readCsvDeck(content) {
+  const records = parseCsv(content.replace(/^﻿/, ''));
+  if (!records) {
+    return { error: localized('decks.unterminatedQuote') };
+  }
+  const [headerRecord, ...rows] = records;
+  if (!headerRecord) {
+    return { error: localized('decks.csvEmpty') };
+  }
+  const header = headerRecord.cells.map((cell) => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+  if (!header.includes('question')) {
+    return { error: localized('decks.csvNoQuestionColumn') };
+  }
+  const items = [];
+  const labels = [];
+  rows.forEach(({ line, cells }) => {
+    if (cells.every((cell) => !cell.trim())) {
+      return;
+    }
+    items.push(csvRowToQuestion(header, cells));
+    labels.push(localized('decks.row', { number: line }));
+  });
+  return { items, labels };
+}
+
+function readJsonDeck(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { error: localized('decks.invalidJson') };
+  }
+  const items = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(items)) {
+    return { error: localized('decks.jsonShape') };
+  }
+  return {
+    name: data && typeof data.name === 'string' ? data.name : null,
+    items,
+    labels: items.map((item, index) => localized('decks.question', { number: index + 1 })),
+  };
+}
+
+function detectFormat(filename, format) {
+  if (format) {
+    return format;
+  }
+  const match = /\.([a-z]+)$/i.exec(filename || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+function importDeck({ filename, format, content }) {
+  const detected = detectFormat(filename, format);
+  if (!DECK_FORMATS.includes(detected)) {
+    return { error: localized('decks.unsupportedFormat') };
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: localized('decks.empty') };
+  }
+  const parsed = detected === 'csv' ? readCsvDeck(content) : readJsonDeck(content);
+  if (parsed.error) {
+    return parsed;
+  }
+  if (!parsed.items.length) {
+    return { error: localized('decks.noQuestions') };
+  }
+  if (parsed.items.length > MAX_QUESTIONS) {
+    return { error: localized('questions.deckTooLong', { count: MAX_QUESTIONS }) };
+  }
+  const { questions, errors } = validateQuestions(parsed.items);
+  if (errors.length) {
+    return {
+      error: localized('decks.rowErrors'),
+      errors: errors.map(({ index, message }) => ({ row: parsed.labels[index], message })),
+    };
+  }
+  return { name: parsed.name || null, questions };
+}
+
+function normalizeTemplateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!trimmed) {
+    return { error: localized('decks.templateNameRequired') };
+  }
+  if (trimmed.length > MAX_TEMPLATE_NAME_LENGTH) {
+    return { error: localized('decks.templateNameTooLong', { count: MAX_TEMPLATE_NAME_LENGTH }) };
+  }
+  return { name: trimmed };
+}
+
+module.exports = { DECK_FORMATS, importDeck, normalizeTemplateName };
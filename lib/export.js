@@ -0,0 +1,147 @@
+const EXPORT_FORMATS = ['csv', 'json'];
+
+function percentOf(count, total) {
+  return total === 0 ? 0 : Math.round((count / total) * 1000) / 10;
+}
+
+function describeResponse(question, response) {
+  if (response === null || response === undefined) {
+    return null;
+  }
+  switch (question.type) {
+    case 'single':
+      return question.options[response];
+    case 'multi':
+      return response.map((choiceIndex) => question.options[choiceIndex]).join('; ');
+    default:
+      return String(response);
+  }
+}
+
+function buildRows(question, results) {
+  if (!results) {
+    return [];
+  }
+  if (results.entries) {
+    const mentions = results.entries.reduce((sum, entry) => sum + entry.count, 0);
+    return results.entries.map((entry) => ({
+      label: entry.text,
+      count: entry.count,
+      percent: percentOf(entry.count, mentions),
+      correct: null,
+    }));
+  }
+  const graded = question.correct.length > 0;
+  return results.counts.map((count, index) => ({
+    label: question.type === 'rating' ? String(index + 1) : question.options[index],
+    count,
+    percent: percentOf(count, results.total),
+    correct: graded ? question.correct.includes(index) : null,
+  }));
+}
+
+function buildAnswers(question, questionIndex, players, teams) {
+  return players
+    .filter((player) => player.answers[questionIndex])
+    .map((player) => {
+      const answer = player.answers[questionIndex];
+      const team = teams.find((candidate) => candidate.id === player.teamId);
+      return {
+        player: player.name,
+        team: team ? team.name : null,
+        answer: describeResponse(question, answer.response),
+        correct: answer.correct,
+        points: answer.points,
+        responseMs: answer.responseMs,
+      };
+    });
+}
+
+function buildExport({ session, leaderboard, teamStandings = null, includeAnswers = false }) {
+  return {
+    code: session.code,
+    createdAt: new Date(session.createdAt).toISOString(),
+    endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+    exportedAt: new Date().toISOString(),
+    questions: session.questions.map((question, index) => {
+      const results = session.results[index];
+      const entry = {
+        number: index + 1,
+        type: question.type,
+        question: question.question,
+        options: question.options,
+        respondents: results ? results.total : 0,
+        average: results && results.average !== undefined ? results.average : null,
+        rows: buildRows(question, results),
+      };
+      if (includeAnswers) {
+        entry.answers = buildAnswers(question, index, session.players, session.teams || []);
+      }
+      return entry;
+    }),
+    leaderboard: leaderboard.map(({ rank, name, score }) => ({ rank, name, score })),
+    teamStandings: teamStandings
+      ? teamStandings.map(({ rank, name, players, average, score }) => ({ rank, name, players, average, score }))
+      : null,
+  };
+}
+
+// Spreadsheet apps treat cells starting with these characters as formulas, so
+// prefix them to keep player-supplied text inert.
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(escapeCsv).join(',');
+}
+
+function toCsv(data) {
+  const lines = [toCsvLine(['question_number', 'question', 'type', 'option', 'count', 'percent', 'correct'])];
+  data.questions.forEach((question) => {
+    question.rows.forEach((row) => {
+      lines.push(
+        toCsvLine([question.number, question.question, question.type, row.label, row.count, row.percent, row.correct])
+      );
+    });
+  });
+  if (data.questions.some((question) => question.answers)) {
+    lines.push('');
+    lines.push(
+      toCsvLine(['question_number', 'question', 'player', 'team', 'answer', 'correct', 'points', 'response_ms'])
+    );
+    data.questions.forEach((question) => {
+      (question.answers || []).forEach((answer) => {
+        lines.push(
+          toCsvLine([
+            question.number,
+            question.question,
+            answer.player,
+            answer.team,
+            answer.answer,
+            answer.correct,
+            answer.points,
+            answer.responseMs,
+          ])
+        );
+      });
+    });
+  }
+  if (data.teamStandings) {
+    lines.push('');
+    lines.push(toCsvLine(['team_rank', 'team', 'players', 'average_score', 'total_score']));
+    data.teamStandings.forEach((team) => {
+      lines.push(toCsvLine([team.rank, team.name, team.players, team.average, team.score]));
+    });
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { EXPORT_FORMATS, buildExport, toCsv };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+// Messages meant for people are built as descriptors and only turned into text
+// once the reader's locale is known. Keys live under "server" in the bundles in
+// public/locales; a param may itself be a descriptor.
+function localized(key, params = {}) {
+  return { key, params };
+}
+
+function isLocalized(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.key === 'string';
+}
+
+// "he-IL,he;q=0.9,en;q=0.5" becomes ['he-IL', 'he', 'en'], best first.
+function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...options] = part.trim().split(';');
+      const quality = options.map((option) => /^\s*q=([\d.]+)\s*$/.exec(option)).find(Boolean);
+      return { tag: tag.trim(), quality: quality ? Number(quality[1]) : 1 };
+    })
+    .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map(({ tag }) => tag);
+}
+
+// `locales`, `defaultLocale`, `matchLocale` and `formatMessage` come from
+// public/js/locales.mjs so the server and the clients agree on them.
+function createTranslator({ directory, locales, defaultLocale, matchLocale, formatMessage }) {
+  const bundles = new Map(
+    Object.keys(locales).map((locale) => [
+      locale,
+      JSON.parse(fs.readFileSync(path.join(directory, `${locale}.json`), 'utf8')).server || {},
+    ])
+  );
+
+  function translate(locale, message) {
+    if (!isLocalized(message)) {
+      return message;
+    }
+    const resolved = bundles.has(locale) ? locale : defaultLocale;
+    const params = {};
+    Object.entries(message.params || {}).forEach(([name, value]) => {
+      params[name] = translate(resolved, value);
+    });
+    return formatMessage(
+      { locale: resolved, bundle: bundles.get(resolved), fallback: bundles.get(defaultLocale) },
+      message.key,
+      params
+    );
+  }
+
+  return {
+    defaultLocale,
+    matchLocale,
+    translate,
+    // Only the top-level `message` of a payload is ever localized.
+    localize(payload, locale) {
+      return isLocalized(payload.message) ? { ...payload, message: translate(locale, payload.message) } : payload;
+    },
+    localeFromHeader(header) {
+      return matchLocale(parseAcceptLanguage(header));
+    },
+  };
+}
+
+module.exports = { localized, isLocalized, parseAcceptLanguage, createTranslator };
@@ -0,0 +1,33 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+  return { message: error.message, ...(error.code ? { code: error.code } : {}), stack: error.stack };
+}
+
+// Writes one JSON object per line: a timestamp, the level, a stable snake_case
+// `event` name and whatever fields describe it. Warnings and errors go to
+// stderr. `base` fields are added to every line, which is how each instance
+// tags its output.
+function createLogger({ level = 'info', base = {}, stdout = process.stdout, stderr = process.stderr } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function write(levelName, event, fields = {}) {
+    if (LEVELS[levelName] < threshold) {
+      return;
+    }
+    const entry = { time: new Date().toISOString(), level: levelName, event, ...base };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    (LEVELS[levelName] >= LEVELS.warn ? stderr : stdout).write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (event, fields) => write('debug', event, fields),
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields),
+  };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,50 @@
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Counters and gauges rendered in the Prometheus text format. Counters are
+// incremented as things happen; gauges are read from `collect()` at scrape
+// time, so they never drift from the state they describe. `collect` returns
+// a number, or a list of { labels, value } for a labelled gauge.
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  return {
+    counter(name, help) {
+      const values = new Map();
+      metrics.push({ name: `${prefix}${name}`, help, type: 'counter', collect: () => Array.from(values.values()) });
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = formatLabels(labels);
+          const entry = values.get(key) || { labels, value: 0 };
+          entry.value += amount;
+          values.set(key, entry);
+        },
+      };
+    },
+    gauge(name, help, collect) {
+      metrics.push({ name: `${prefix}${name}`, help, type: 'gauge', collect });
+    },
+    render() {
+      return metrics
+        .map(({ name, help, type, collect }) => {
+          const collected = collect();
+          const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+          return [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+          ].join('\n');
+        })
+        .join('\n')
+        .concat('\n');
+    },
+  };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,125 @@
+const fs = require('fs');
+
+const NAME_MODES = ['free', 'generated'];
+const MAX_NAME_LENGTH = 40;
+
+// A trailing * matches any word that starts with the term, so "fuck*" also
+// catches "fucking" without flagging innocent names that merely contain it.
+const DEFAULT_BLOCKLIST = [
+  'arse', 'arses', 'asshole*', 'bastard*', 'bitch*', 'bollock*', 'cock', 'cocks', 'cunt*', 'dick',
+  'dickhead*', 'fag', 'fags', 'faggot*', 'fuck*', 'motherfuck*', 'nazi*', 'nigga*', 'nigger*', 'penis*',
+  'piss*', 'porn*', 'pussy', 'retard*', 'shit*', 'slut*', 'twat*', 'wank*', 'whore*',
+];
+
+const LEET_CHARACTERS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const NICKNAME_ADJECTIVES = [
+  'Brave', 'Bouncy', 'Clever', 'Cosmic', 'Dizzy', 'Fluffy', 'Fuzzy', 'Gentle', 'Giddy', 'Happy',
+  'Jolly', 'Lucky', 'Mighty', 'Nimble', 'Plucky', 'Quick', 'Sleepy', 'Sneaky', 'Sparkly', 'Speedy',
+  'Sunny', 'Swift', 'Witty', 'Zesty',
+];
+const NICKNAME_ANIMALS = [
+  'Alpaca', 'Badger', 'Beaver', 'Cheetah', 'Dolphin', 'Falcon', 'Ferret', 'Gecko', 'Hedgehog', 'Koala',
+  'Lemur', 'Llama', 'Narwhal', 'Octopus', 'Otter', 'Panda', 'Penguin', 'Puffin', 'Quokka', 'Raccoon',
+  'Sloth', 'Squirrel', 'Toucan', 'Walrus',
+];
+
+function truncate(text, length) {
+  return Array.from(text).slice(0, length).join('').trim();
+}
+
+// NFKC folds look-alike forms (full-width letters, ligatures) into plain ones.
+// Invisible format characters are dropped and stacked combining marks are capped
+// so names cannot be blank-looking or spill over neighbouring rows.
+function normalizeName(name) {
+  if (typeof name !== 'string') {
+    return '';
+  }
+  const cleaned = name
+    .normalize('NFKC')
+    .replace(/[\p{Cc}\p{Cf}\p{Co}\p{Cn}]/gu, '')
+    .replace(/(\p{M}{2})\p{M}+/gu, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return /[\p{L}\p{N}]/u.test(cleaned) ? truncate(cleaned, MAX_NAME_LENGTH) : '';
+}
+
+function nameKey(name) {
+  return name.normalize('NFKC').toLocaleLowerCase();
+}
+
+function toBlocklistWords(name) {
+  const folded = name
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[013457@$]/g, (character) => LEET_CHARACTERS[character]);
+  const words = folded.split(/[^a-z]+/).filter(Boolean);
+  // Also check the letters run together so "f u c k" or "f.u.c.k" are caught.
+  return [...words, words.join('')];
+}
+
+function createNameFilter(terms = DEFAULT_BLOCKLIST) {
+  const exact = new Set();
+  const prefixes = [];
+  terms
+    .map((term) => term.toLowerCase().replace(/[^a-z*]/g, ''))
+    .filter(Boolean)
+    .forEach((term) => {
+      if (term.endsWith('*')) {
+        prefixes.push(term.slice(0, -1));
+      } else {
+        exact.add(term);
+      }
+    });
+  return {
+    isBlocked(name) {
+      return toBlocklistWords(name).some(
+        (word) => exact.has(word) || prefixes.some((prefix) => word.startsWith(prefix))
+      );
+    },
+  };
+}
+
+// NAME_BLOCKLIST_FILE replaces the built-in list with one term per line, and
+// NAME_BLOCKLIST adds comma-separated terms on top of whichever list is in use.
+function loadNameFilter({ file, extra } = {}) {
+  const base = file
+    ? fs
+        .readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .filter((line) => !line.trim().startsWith('#'))
+    : DEFAULT_BLOCKLIST;
+  return createNameFilter([...base, ...(extra ? extra.split(',') : [])]);
+}
+
+function uniqueName(name, takenNames) {
+  const taken = new Set(Array.from(takenNames, nameKey));
+  if (!taken.has(nameKey(name))) {
+    return name;
+  }
+  for (let suffix = 2; ; suffix += 1) {
+    const tail = ` ${suffix}`;
+    const candidate = `${truncate(name, MAX_NAME_LENGTH - tail.length)}${tail}`;
+    if (!taken.has(nameKey(candidate))) {
+      return candidate;
+    }
+  }
+}
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function generateNickname(takenNames) {
+  return uniqueName(`${pick(NICKNAME_ADJECTIVES)} ${pick(NICKNAME_ANIMALS)}`, takenNames);
+}
+
+module.exports = {
+  NAME_MODES,
+  MAX_NAME_LENGTH,
+  normalizeName,
+  loadNameFilter,
+  uniqueName,
+  generateNickname,
+};
@@ -0,0 +1,392 @@
+// A small QR code encoder for join links, so the dashboard and presenter can
+// show a code without calling an outside service. It only does what links
+// need: byte mode, error correction level M and versions 1 to 10 (up to 213
+// bytes), which a phone camera reads easily from the back of a room.
+
+// Per version: error correction codewords per block, then [block count, data
+// codewords per block] for each block group.
+const EC_BLOCKS_M = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]],
+];
+const ALIGNMENT_POSITIONS = [
+  null,
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50],
+];
+const MAX_VERSION = EC_BLOCKS_M.length - 1;
+const EC_LEVEL_M_BITS = 0;
+const BYTE_MODE = 0b0100;
+const PAD_BYTES = [0xec, 0x11];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function gfMultiply(x, y) {
+  let product = 0;
+  for (let bit = 7; bit >= 0; bit -= 1) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> bit) & 1) * x;
+  }
+  return product;
+}
+
+function reedSolomonDivisor(degree) {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let step = 0; step < degree; step += 1) {
+    for (let index = 0; index < degree; index += 1) {
+      divisor[index] = gfMultiply(divisor[index], root);
+      if (index + 1 < degree) {
+        divisor[index] ^= divisor[index + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return divisor;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const remainder = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, index) => {
+      remainder[index] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return remainder;
+}
+
+function dataCapacity(version) {
+  const [, ...groups] = EC_BLOCKS_M[version];
+  return groups.reduce((sum, [count, length]) => sum + count * length, 0);
+}
+
+function countBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+function chooseVersion(length) {
+  for (let version = 1; version <= MAX_VERSION; version += 1) {
+    if (4 + countBits(version) + length * 8 <= dataCapacity(version) * 8) {
+      return version;
+    }
+  }
+  return null;
+}
+
+function encodeData(bytes, version) {
+  const capacity = dataCapacity(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let bit = length - 1; bit >= 0; bit -= 1) {
+      bits.push((value >>> bit) & 1);
+    }
+  };
+  push(BYTE_MODE, 4);
+  push(bytes.length, countBits(version));
+  bytes.forEach((byte) => push(byte, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const codewords = [];
+  for (let index = 0; index < bits.length; index += 8) {
+    codewords.push(bits.slice(index, index + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0; codewords.length < capacity / 8; pad += 1) {
+    codewords.push(PAD_BYTES[pad % 2]);
+  }
+  return codewords;
+}
+
+// Splits the data into blocks, adds error correction to each and interleaves
+// them the way readers expect.
+function addErrorCorrection(data, version) {
+  const [ecLength, ...groups] = EC_BLOCKS_M[version];
+  const divisor = reedSolomonDivisor(ecLength);
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, length]) => {
+    for (let block = 0; block < count; block += 1) {
+      const slice = data.slice(offset, offset + length);
+      blocks.push({ data: slice, ec: reedSolomonRemainder(slice, divisor) });
+      offset += length;
+    }
+  });
+  const result = [];
+  const longest = Math.max(...blocks.map((block) => block.data.length));
+  for (let index = 0; index < longest; index += 1) {
+    blocks.forEach((block) => {
+      if (index < block.data.length) {
+        result.push(block.data[index]);
+      }
+    });
+  }
+  for (let index = 0; index < ecLength; index += 1) {
+    blocks.forEach((block) => result.push(block.ec[index]));
+  }
+  return result;
+}
+
+function createGrid(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  return { version, size, modules, reserved, set };
+}
+
+function drawFunctionPatterns(grid) {
+  const { version, size, set } = grid;
+  for (let index = 0; index < size; index += 1) {
+    set(6, index, index % 2 === 0);
+    set(index, 6, index % 2 === 0);
+  }
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ].forEach(([centerX, centerY]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  positions.forEach((centerY, row) => {
+    positions.forEach((centerX, column) => {
+      const overlapsFinder =
+        (row === 0 && column === 0) || (row === 0 && column === last) || (row === last && column === 0);
+      if (overlapsFinder) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          set(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+  // Reserve the format areas now; drawFormatBits fills them in per mask.
+  drawFormatBits(grid, 0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let step = 0; step < 12; step += 1) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let index = 0; index < 18; index += 1) {
+      const dark = ((bits >>> index) & 1) === 1;
+      const a = size - 11 + (index % 3);
+      const b = Math.floor(index / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+}
+
+function formatBits(mask) {
+  const data = (EC_LEVEL_M_BITS << 3) | mask;
+  let remainder = data;
+  for (let step = 0; step < 10; step += 1) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  return ((data << 10) | remainder) ^ 0x5412;
+}
+
+function drawFormatBits(grid, mask) {
+  const { size, set } = grid;
+  const bits = formatBits(mask);
+  const bit = (index) => ((bits >>> index) & 1) === 1;
+  for (let index = 0; index <= 5; index += 1) {
+    set(8, index, bit(index));
+  }
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let index = 9; index < 15; index += 1) {
+    set(14 - index, 8, bit(index));
+  }
+  for (let index = 0; index < 8; index += 1) {
+    set(size - 1 - index, 8, bit(index));
+  }
+  for (let index = 8; index < 15; index += 1) {
+    set(8, size - 15 + index, bit(index));
+  }
+  set(8, size - 8, true);
+}
+
+// Codewords run in two-module columns from the bottom right, zigzagging up
+// and down and skipping the vertical timing pattern.
+function drawCodewords(grid, codewords) {
+  const { size, modules, reserved } = grid;
+  let index = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step += 1) {
+      const y = upward ? size - 1 - step : step;
+      for (let column = 0; column < 2; column += 1) {
+        const x = right - column;
+        if (!reserved[y][x]) {
+          modules[y][x] = index < codewords.length * 8 && ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+          index += 1;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(grid, mask) {
+  const { size, modules, reserved } = grid;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+const FINDER_LIKE = [
+  [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1],
+];
+
+function linePenalty(line) {
+  let penalty = 0;
+  let run = 1;
+  for (let index = 1; index <= line.length; index += 1) {
+    if (index < line.length && line[index] === line[index - 1]) {
+      run += 1;
+    } else {
+      if (run >= 5) {
+        penalty += run - 2;
+      }
+      run = 1;
+    }
+  }
+  for (let start = 0; start + 11 <= line.length; start += 1) {
+    FINDER_LIKE.forEach((pattern) => {
+      if (pattern.every((value, offset) => line[start + offset] === value)) {
+        penalty += 40;
+      }
+    });
+  }
+  return penalty;
+}
+
+// The four penalty rules from the standard; the mask with the lowest score is
+// the easiest to scan.
+function maskPenalty({ size, modules }) {
+  const rows = modules.map((row) => row.map(Number));
+  const columns = rows.map((row, x) => rows.map((line) => line[x]));
+  let penalty = 0;
+  [...rows, ...columns].forEach((line) => {
+    penalty += linePenalty(line);
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      dark += rows[y][x];
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        rows[y][x] === rows[y][x + 1] &&
+        rows[y][x] === rows[y + 1][x] &&
+        rows[y][x] === rows[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+// Returns the modules as rows of booleans (true is dark), without the quiet
+// zone, or null when the text is too long.
+function encodeQrCode(text) {
+  const bytes = Array.from(Buffer.from(String(text), 'utf8'));
+  const version = chooseVersion(bytes.length);
+  if (!version) {
+    return null;
+  }
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  let best = null;
+  MASKS.forEach((unused, mask) => {
+    const grid = createGrid(version);
+    drawFunctionPatterns(grid);
+    drawCodewords(grid, codewords);
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const penalty = maskPenalty(grid);
+    if (!best || penalty < best.penalty) {
+      best = { penalty, modules: grid.modules };
+    }
+  });
+  return best.modules;
+}
+
+function renderQrSvg(text, { margin = 4 } = {}) {
+  const modules = encodeQrCode(text);
+  if (!modules) {
+    return null;
+  }
+  const size = modules.length + margin * 2;
+  const path = [];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`,
+    `<rect width="${size}" height="${size}" fill="#fff"/>`,
+    `<path d="${path.join('')}" fill="#000"/>`,
+    '</svg>',
+  ].join('');
+}
+
+module.exports = { encodeQrCode, renderQrSvg };
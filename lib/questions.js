@@ -0,0 +1,282 @@
+const { localized } = require('./i18n');
+const { isUploadUrl } = require('./uploads');
+
+const QUESTION_TYPES = ['single', 'multi', 'rating', 'text', 'wordcloud'];
+const OPTION_TYPES = ['single', 'multi'];
+const RATING_SCALES = [5, 10];
+const RESPONSE_MODES = ['named', 'anonymous'];
+const MAX_QUESTIONS = 50;
+const MIN_TIME_LIMIT = 5;
+const MAX_TIME_LIMIT = 300;
+const MAX_TEXT_LENGTH = 140;
+const MAX_TEXT_ENTRIES = 50;
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'with',
+]);
+
+// Same syntax as the image rule in public/js/markdown.js.
+const MARKDOWN_IMAGE_PATTERN = /!\[[^\]\n]*\]\(([^)\s]*)\)/g;
+
+// Images have to be uploaded first; pictures hot-linked from other sites would
+// let a deck track every player who opens it.
+function hasForeignImages(text) {
+  return Array.from(text.matchAll(MARKDOWN_IMAGE_PATTERN)).some(([, url]) => !isUploadUrl(url));
+}
+
+function normalizeOptions(item) {
+  if (!Array.isArray(item.options) || item.options.length < 2) {
+    return { error: localized('questions.optionsRequired') };
+  }
+  if (item.correct !== undefined && item.correct !== null && !Array.isArray(item.correct)) {
+    return { error: localized('questions.correctNotList') };
+  }
+  const requestedCorrect = item.correct || [];
+  const options = [];
+  const correct = [];
+  item.options.forEach((option, optionIndex) => {
+    const label = typeof option === 'string' ? option.trim() : '';
+    if (!label) {
+      return;
+    }
+    if (requestedCorrect.includes(optionIndex)) {
+      correct.push(options.length);
+    }
+    options.push(label);
+  });
+  if (options.length < 2) {
+    return { error: localized('questions.tooFewOptions') };
+  }
+  if (correct.length !== new Set(requestedCorrect).size) {
+    return { error: localized('questions.correctEmptyOption') };
+  }
+  return { options, correct };
+}
+
+function normalizeQuestion(item) {
+  const type = item.type || 'single';
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: localized('questions.unknownType', { type }) };
+  }
+  const hasQuestion = typeof item.question === 'string' && item.question.trim();
+  if (!hasQuestion) {
+    return { error: localized('questions.textRequired') };
+  }
+  let timeLimit = null;
+  if (item.timeLimit !== undefined && item.timeLimit !== null && item.timeLimit !== 0) {
+    timeLimit = Number(item.timeLimit);
+    if (!Number.isInteger(timeLimit) || timeLimit < MIN_TIME_LIMIT || timeLimit > MAX_TIME_LIMIT) {
+      return { error: localized('questions.timeLimitRange', { min: MIN_TIME_LIMIT, max: MAX_TIME_LIMIT }) };
+    }
+  }
+  const question = {
+    type,
+    question: item.question.trim(),
+    options: [],
+    correct: [],
+    timeLimit,
+    maxChoices: null,
+    scale: null,
+    allowChanges: item.allowChanges === true,
+  };
+  if (OPTION_TYPES.includes(type)) {
+    const normalized = normalizeOptions(item);
+    if (normalized.error) {
+      return normalized;
+    }
+    question.options = normalized.options;
+    question.correct = normalized.correct;
+  }
+  if ([question.question, ...question.options].some(hasForeignImages)) {
+    return { error: localized('questions.foreignImages') };
+  }
+  if (type === 'single' && question.correct.length > 1) {
+    return { error: localized('questions.singleCorrect') };
+  }
+  if (type === 'multi') {
+    const maxChoices = item.maxChoices ? Number(item.maxChoices) : question.options.length;
+    if (!Number.isInteger(maxChoices) || maxChoices < 1 || maxChoices > question.options.length) {
+      return { error: localized('questions.maxChoicesRange', { max: question.options.length }) };
+    }
+    if (question.correct.length > maxChoices) {
+      return { error: localized('questions.tooManyCorrect') };
+    }
+    question.maxChoices = maxChoices;
+  }
+  if (type === 'rating') {
+    const scale = Number(item.scale) || RATING_SCALES[0];
+    if (!RATING_SCALES.includes(scale)) {
+      return { error: localized('questions.ratingScale', { scales: RATING_SCALES.join(', ') }) };
+    }
+    question.scale = scale;
+  }
+  return { question };
+}
+
+function validateQuestions(deck) {
+  const questions = [];
+  const errors = [];
+  deck.forEach((item, index) => {
+    const result = normalizeQuestion(item || {});
+    if (result.error) {
+      errors.push({ index, message: result.error });
+    } else {
+      questions.push(result.question);
+    }
+  });
+  return { questions, errors };
+}
+
+function normalizeDeck({ question, options, questions }) {
+  const deck = Array.isArray(questions) ? questions : [{ question, options }];
+  if (!deck.length) {
+    return { error: localized('questions.deckEmpty') };
+  }
+  if (deck.length > MAX_QUESTIONS) {
+    return { error: localized('questions.deckTooLong', { count: MAX_QUESTIONS }) };
+  }
+  const { questions: normalized, errors } = validateQuestions(deck);
+  if (errors.length) {
+    const [{ index, message }] = errors;
+    return { error: deck.length > 1 ? localized('questions.inQuestion', { number: index + 1, message }) : message };
+  }
+  return { questions: normalized };
+}
+
+function isSameQuestion(a, b) {
+  return Boolean(a && b) && JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isValidChoice(question, choiceIndex) {
+  return Number.isInteger(choiceIndex) && choiceIndex >= 0 && choiceIndex < question.options.length;
+}
+
+function normalizeResponse(question, message) {
+  switch (question.type) {
+    case 'multi': {
+      const { choiceIndices } = message;
+      if (!Array.isArray(choiceIndices) || !choiceIndices.length) {
+        return { error: localized('responses.noOptions') };
+      }
+      const unique = Array.from(new Set(choiceIndices));
+      if (!unique.every((choiceIndex) => isValidChoice(question, choiceIndex))) {
+        return { error: localized('responses.invalidOptions') };
+      }
+      if (unique.length > question.maxChoices) {
+        return { error: localized('responses.tooManyOptions', { count: question.maxChoices }) };
+      }
+      return { response: unique.sort((a, b) => a - b) };
+    }
+    case 'rating': {
+      const { rating } = message;
+      if (!Number.isInteger(rating) || rating < 1 || rating > question.scale) {
+        return { error: localized('responses.ratingRange', { max: question.scale }) };
+      }
+      return { response: rating };
+    }
+    case 'text':
+    case 'wordcloud': {
+      const text = typeof message.text === 'string' ? message.text.trim().replace(/\s+/g, ' ') : '';
+      if (!text) {
+        return { error: localized('responses.textRequired') };
+      }
+      if (text.length > MAX_TEXT_LENGTH) {
+        return { error: localized('responses.textTooLong', { count: MAX_TEXT_LENGTH }) };
+      }
+      return { response: text };
+    }
+    default: {
+      const { choiceIndex } = message;
+      if (!isValidChoice(question, choiceIndex)) {
+        return { error: localized('responses.invalidOption') };
+      }
+      return { response: choiceIndex };
+    }
+  }
+}
+
+function isCorrectResponse(question, response) {
+  if (!question.correct.length) {
+    return null;
+  }
+  if (response === null || response === undefined) {
+    return false;
+  }
+  if (question.type === 'multi') {
+    return (
+      response.length === question.correct.length &&
+      response.every((choiceIndex) => question.correct.includes(choiceIndex))
+    );
+  }
+  return question.correct.includes(response);
+}
+
+function tallyEntries(values) {
+  const tally = new Map();
+  values.forEach((value) => {
+    const key = value.toLowerCase();
+    const entry = tally.get(key) || { text: value, count: 0 };
+    entry.count += 1;
+    tally.set(key, entry);
+  });
+  return Array.from(tally.values())
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_TEXT_ENTRIES);
+}
+
+function extractWords(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}'-]+/u)
+    .map((word) => word.replace(/^['-]+|['-]+$/g, ''))
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+function aggregateResponses(question, responses) {
+  const answered = responses.filter((response) => response !== null && response !== undefined);
+  const total = answered.length;
+  switch (question.type) {
+    case 'multi': {
+      const counts = question.options.map(() => 0);
+      answered.forEach((choices) => choices.forEach((choiceIndex) => {
+        counts[choiceIndex] += 1;
+      }));
+      return { type: question.type, total, counts };
+    }
+    case 'rating': {
+      const counts = Array.from({ length: question.scale }, () => 0);
+      answered.forEach((rating) => {
+        counts[rating - 1] += 1;
+      });
+      const sum = answered.reduce((accumulator, rating) => accumulator + rating, 0);
+      const average = total === 0 ? null : Math.round((sum / total) * 10) / 10;
+      return { type: question.type, total, counts, average, scale: question.scale };
+    }
+    case 'text':
+      return { type: question.type, total, entries: tallyEntries(answered) };
+    case 'wordcloud':
+      return { type: question.type, total, entries: tallyEntries(answered.flatMap(extractWords)) };
+    default: {
+      const counts = question.options.map(() => 0);
+      answered.forEach((choiceIndex) => {
+        counts[choiceIndex] += 1;
+      });
+      return { type: question.type, total, counts };
+    }
+  }
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  RESPONSE_MODES,
+  MAX_QUESTIONS,
+  MIN_TIME_LIMIT,
+  MAX_TIME_LIMIT,
+  MAX_TEXT_LENGTH,
+  validateQuestions,
+  normalizeDeck,
+  isSameQuestion,
+  normalizeResponse,
+  isCorrectResponse,
+  aggregateResponses,
+};
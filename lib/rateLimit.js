@@ -0,0 +1,42 @@
+// Token buckets keyed by connection id or IP address. Each key starts with
+// `capacity` tokens, every message takes one, and tokens trickle back at
+// `refillPerSecond` so short bursts are fine but sustained floods are not.
+function createRateLimiter({ capacity, refillPerSecond }) {
+  const buckets = new Map();
+
+  function refill(key, now) {
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+  }
+
+  return {
+    take(key) {
+      const bucket = refill(key, Date.now());
+      if (bucket.tokens < 1) {
+        return false;
+      }
+      bucket.tokens -= 1;
+      return true;
+    },
+    peek(key) {
+      return refill(key, Date.now()).tokens >= 1;
+    },
+    reset(key) {
+      buckets.delete(key);
+    },
+    // Buckets that have refilled completely carry no state worth keeping.
+    prune() {
+      const now = Date.now();
+      buckets.forEach((bucket, key) => {
+        if (refill(key, now).tokens >= capacity) {
+          buckets.delete(key);
+        }
+      });
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
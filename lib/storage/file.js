@@ -0,0 +1,150 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const WRITE_DELAY_MS = 100;
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+async function readData(filePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return { games: data.games || {}, sessions: data.sessions || {}, templates: data.templates || {} };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { games: {}, sessions: {}, templates: {} };
+    }
+    throw error;
+  }
+}
+
+// Keeps the whole dataset in memory and rewrites the JSON file shortly after each
+// change. Writes go to a temporary file first so a crash never leaves a torn file.
+// Uploaded images are files of their own in an uploads directory next to it.
+function createFileStore({ filePath, logger }) {
+  const uploadsDir = path.join(path.dirname(filePath), 'uploads');
+  let data = null;
+  let writeTimer = null;
+  let pendingWrite = Promise.resolve();
+
+  async function load() {
+    if (!data) {
+      data = await readData(filePath);
+    }
+    return data;
+  }
+
+  function writeNow() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    const snapshot = JSON.stringify(data, null, 2);
+    pendingWrite = pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, snapshot);
+        await fs.rename(tempPath, filePath);
+      });
+    return pendingWrite;
+  }
+
+  function scheduleWrite() {
+    if (!writeTimer) {
+      writeTimer = setTimeout(() => {
+        writeNow().catch((error) => {
+          logger.error('storage_write_failed', { filePath, error });
+        });
+      }, WRITE_DELAY_MS);
+    }
+  }
+
+  return {
+    async loadGames() {
+      const { games } = await load();
+      return Object.values(games).map(clone);
+    },
+    async saveGame(record) {
+      const { games } = await load();
+      games[record.code] = clone(record);
+      scheduleWrite();
+    },
+    async deleteGame(code) {
+      const { games } = await load();
+      delete games[code];
+      scheduleWrite();
+    },
+    async archiveSession(record) {
+      const { sessions } = await load();
+      sessions[record.id] = clone(record);
+      scheduleWrite();
+    },
+    async listSessions() {
+      const { sessions } = await load();
+      return Object.values(sessions).map(clone);
+    },
+    async getSession(id) {
+      const { sessions } = await load();
+      return clone(sessions[id]) || null;
+    },
+    async saveTemplate(record) {
+      const { templates } = await load();
+      templates[record.id] = clone(record);
+      scheduleWrite();
+    },
+    async listTemplates() {
+      const { templates } = await load();
+      return Object.values(templates).map(clone);
+    },
+    async getTemplate(id) {
+      const { templates } = await load();
+      return clone(templates[id]) || null;
+    },
+    async deleteTemplate(id) {
+      const { templates } = await load();
+      delete templates[id];
+      scheduleWrite();
+    },
+    async saveUpload(id, data) {
+      const uploadPath = path.join(uploadsDir, path.basename(id));
+      await fs.mkdir(uploadsDir, { recursive: true });
+      const tempPath = `${uploadPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, uploadPath);
+    },
+    async getUpload(id) {
+      try {
+        return await fs.readFile(path.join(uploadsDir, path.basename(id)));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async uploadBytes() {
+      let names;
+      try {
+        names = await fs.readdir(uploadsDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return 0;
+        }
+        throw error;
+      }
+      const stats = await Promise.all(
+        names.filter((name) => !name.endsWith('.tmp')).map((name) => fs.stat(path.join(uploadsDir, name)))
+      );
+      return stats.reduce((total, stat) => total + stat.size, 0);
+    },
+    async close() {
+      if (writeTimer) {
+        await writeNow();
+      }
+      await pendingWrite;
+    },
+  };
+}
+
+module.exports = { createFileStore };
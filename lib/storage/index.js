@@ -0,0 +1,34 @@
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+
+// Every store implements the same promise-based interface:
+//   loadGames()            -> records of games that were live when the process stopped
+//   saveGame(record)       -> insert or replace a live game, keyed by its code
+//   deleteGame(code)       -> forget a live game
+//   archiveSession(record) -> keep a finished game for later review, keyed by its id
+//   listSessions()         -> every archived session
+//   getSession(id)         -> one archived session, or null
+//   saveTemplate(record)   -> insert or replace a reusable deck, keyed by its id
+//   listTemplates()        -> every saved template
+//   getTemplate(id)        -> one template, or null
+//   deleteTemplate(id)     -> forget a template
+//   saveUpload(id, data)   -> keep an uploaded image (a Buffer) under its content-derived id
+//   getUpload(id)          -> the image's bytes, or null
+//   uploadBytes()          -> the combined size of every kept image
+//   close()                -> flush pending writes before the process exits
+function createStorage({ driver = 'memory', filePath, logger } = {}) {
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({
+        filePath: path.resolve(filePath || path.join(__dirname, '..', '..', 'data', 'kaboot.json')),
+        logger,
+      });
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Use "memory" or "file".`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,57 @@
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createMemoryStore() {
+  const games = new Map();
+  const sessions = new Map();
+  const templates = new Map();
+  const uploads = new Map();
+  let uploadBytes = 0;
+
+  return {
+    async loadGames() {
+      return Array.from(games.values()).map(clone);
+    },
+    async saveGame(record) {
+      games.set(record.code, clone(record));
+    },
+    async deleteGame(code) {
+      games.delete(code);
+    },
+    async archiveSession(record) {
+      sessions.set(record.id, clone(record));
+    },
+    async listSessions() {
+      return Array.from(sessions.values()).map(clone);
+    },
+    async getSession(id) {
+      return clone(sessions.get(id)) || null;
+    },
+    async saveTemplate(record) {
+      templates.set(record.id, clone(record));
+    },
+    async listTemplates() {
+      return Array.from(templates.values()).map(clone);
+    },
+    async getTemplate(id) {
+      return clone(templates.get(id)) || null;
+    },
+    async deleteTemplate(id) {
+      templates.delete(id);
+    },
+    async saveUpload(id, data) {
+      uploadBytes += data.length - (uploads.has(id) ? uploads.get(id).length : 0);
+      uploads.set(id, Buffer.from(data));
+    },
+    async getUpload(id) {
+      return uploads.get(id) || null;
+    },
+    async uploadBytes() {
+      return uploadBytes;
+    },
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,88 @@
+const { localized } = require('./i18n');
+const { normalizeName } = require('./names');
+const { aggregateResponses } = require('./questions');
+
+const TEAM_MODES = ['off', 'choose', 'auto'];
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 10;
+const MAX_TEAM_NAME_LENGTH = 30;
+const DEFAULT_TEAM_NAMES = ['Red', 'Blue'];
+
+// `choose` lets players pick a team when they join; `auto` puts each new
+// player in whichever team is smallest.
+function normalizeTeams({ teamMode = 'off', teams } = {}) {
+  if (!TEAM_MODES.includes(teamMode)) {
+    return { error: localized('teams.invalidMode', { modes: TEAM_MODES.join(', ') }) };
+  }
+  if (teamMode === 'off') {
+    return { teamMode, teams: [] };
+  }
+  const names = [];
+  (Array.isArray(teams) && teams.length ? teams : DEFAULT_TEAM_NAMES).forEach((requested) => {
+    const name = Array.from(normalizeName(requested)).slice(0, MAX_TEAM_NAME_LENGTH).join('').trim();
+    if (name && !names.some((taken) => taken.toLocaleLowerCase() === name.toLocaleLowerCase())) {
+      names.push(name);
+    }
+  });
+  if (names.length < MIN_TEAMS || names.length > MAX_TEAMS) {
+    return { error: localized('teams.count', { min: MIN_TEAMS, max: MAX_TEAMS }) };
+  }
+  return { teamMode, teams: names.map((name, index) => ({ id: `team-${index + 1}`, name })) };
+}
+
+function teamMembers(team, players) {
+  return players.filter((player) => player.teamId === team.id);
+}
+
+// Ties go to the team listed first, so teams fill up in a predictable order.
+function pickSmallestTeam(teams, players) {
+  const list = Array.from(players);
+  const sizes = teams.map((team) => teamMembers(team, list).length);
+  return teams[sizes.indexOf(Math.min(...sizes))];
+}
+
+// `responseOf(player)` picks the answer to tally, which is the live response for
+// the open question and the saved answer for earlier ones.
+function buildTeamResults(question, teams, players, responseOf) {
+  const list = Array.from(players);
+  return teams.map((team) => ({
+    teamId: team.id,
+    name: team.name,
+    results: aggregateResponses(question, teamMembers(team, list).map(responseOf)),
+  }));
+}
+
+// Teams are ranked by their average score so a team does not win by being
+// bigger; the total is reported alongside.
+function buildTeamStandings(teams, players) {
+  const list = Array.from(players);
+  const sorted = teams
+    .map((team) => {
+      const members = teamMembers(team, list);
+      const score = members.reduce((sum, player) => sum + player.score, 0);
+      return {
+        id: team.id,
+        name: team.name,
+        players: members.length,
+        score,
+        average: members.length ? Math.round(score / members.length) : 0,
+      };
+    })
+    .sort((a, b) => b.average - a.average);
+  let rank = 0;
+  return sorted.map((team, index) => {
+    if (index === 0 || sorted[index - 1].average !== team.average) {
+      rank = index + 1;
+    }
+    return { ...team, rank };
+  });
+}
+
+module.exports = {
+  TEAM_MODES,
+  normalizeTeams,
+  teamMembers,
+  pickSmallestTeam,
+  buildTeamResults,
+  buildTeamStandings,
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { localized } = require('./i18n');
+
+const DEFAULT_MAX_UPLOAD_BYTES = 2 * 1024 * 1024;
+// Uploads are never deleted, so the store as a whole has a ceiling too.
+const DEFAULT_MAX_UPLOAD_STORAGE_BYTES = 256 * 1024 * 1024;
+
+// The type is taken from the file's first bytes, never from its name or the
+// Content-Type the browser sent. SVG is left out because it can carry script.
+const IMAGE_TYPES = [
+  { extension: 'png', mimeType: 'image/png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { extension: 'jpg', mimeType: 'image/jpeg', signature: [0xff, 0xd8, 0xff] },
+  { extension: 'gif', mimeType: 'image/gif', signature: [0x47, 0x49, 0x46, 0x38] },
+  { extension: 'webp', mimeType: 'image/webp', signature: [0x52, 0x49, 0x46, 0x46], tag: [8, 'WEBP'] },
+];
+
+// Uploads are named after a hash of their content, so the same image uploaded
+// twice is stored once and a name can never point at different bytes.
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{64}\.(png|jpg|gif|webp)$/;
+const UPLOAD_URL_PREFIX = '/uploads/';
+
+function detectImageType(data) {
+  return (
+    IMAGE_TYPES.find(
+      ({ signature, tag }) =>
+        data.length > signature.length &&
+        signature.every((byte, index) => data[index] === byte) &&
+        (!tag || data.toString('latin1', tag[0], tag[0] + tag[1].length) === tag[1])
+    ) || null
+  );
+}
+
+function createUpload(data) {
+  const type = detectImageType(data);
+  if (!type) {
+    return { error: localized('uploads.unsupportedType') };
+  }
+  const id = `${crypto.createHash('sha256').update(data).digest('hex')}.${type.extension}`;
+  return { upload: { id, url: `${UPLOAD_URL_PREFIX}${id}`, mimeType: type.mimeType, size: data.length } };
+}
+
+function uploadMimeType(id) {
+  const extension = id.slice(id.lastIndexOf('.') + 1);
+  const type = IMAGE_TYPES.find((candidate) => candidate.extension === extension);
+  return type ? type.mimeType : null;
+}
+
+function isUploadUrl(url) {
+  return url.startsWith(UPLOAD_URL_PREFIX) && UPLOAD_ID_PATTERN.test(url.slice(UPLOAD_URL_PREFIX.length));
+}
+
+module.exports = {
+  DEFAULT_MAX_UPLOAD_BYTES,
+  DEFAULT_MAX_UPLOAD_STORAGE_BYTES,
+  UPLOAD_ID_PATTERN,
+  createUpload,
+  uploadMimeType,
+  isUploadUrl,
+};
@@ -0,0 +1,59 @@
+import { t } from './i18n.js';
+
+const PING_INTERVAL_MS = 10000;
+const SLOW_ROUND_TRIP_MS = 500;
+// Without a pong for this long the connection is treated as dead, because a
+// browser can take minutes to notice that a network went away.
+const PONG_TIMEOUT_MS = 25000;
+
+// Pages cannot see WebSocket-level pings, so clients send their own and show
+// how the connection looks in `element`. `onDead` should drop the socket and
+// reconnect.
+export function createConnectionMonitor({ element, send, onDead }) {
+  let pingTimer = null;
+  let lastPongAt = 0;
+
+  function show(quality, text) {
+    element.dataset.quality = quality;
+    element.textContent = text;
+  }
+
+  function ping() {
+    if (Date.now() - lastPongAt > PONG_TIMEOUT_MS) {
+      stop();
+      onDead();
+      return;
+    }
+    if (Date.now() - lastPongAt > PING_INTERVAL_MS + SLOW_ROUND_TRIP_MS) {
+      show('slow', t('connection.unstable'));
+    }
+    send({ type: 'ping', sentAt: Date.now() });
+  }
+
+  function start() {
+    clearInterval(pingTimer);
+    lastPongAt = Date.now();
+    show('good', t('connection.connected'));
+    ping();
+    pingTimer = setInterval(ping, PING_INTERVAL_MS);
+  }
+
+  function stop() {
+    clearInterval(pingTimer);
+    pingTimer = null;
+    show('offline', t('connection.offline'));
+  }
+
+  function handlePong({ sentAt }) {
+    lastPongAt = Date.now();
+    const roundTrip = Math.max(0, lastPongAt - sentAt);
+    if (roundTrip > SLOW_ROUND_TRIP_MS) {
+      show('slow', t('connection.slow', { ms: roundTrip }));
+    } else {
+      show('good', t('connection.connectedLatency', { ms: roundTrip }));
+    }
+  }
+
+  show('offline', t('connection.connecting'));
+  return { start, stop, handlePong };
+}
@@ -1,95 +1,586 @@
+import { PROTOCOL_VERSION, ERROR_CODES, parseServerMessage } from './protocol.mjs';
+import { renderResults } from './results.js';
+import { createConnectionMonitor } from './connection.js';
+import { renderMarkdown, toPlainText } from './markdown.js';
+import { loadTranslations, t, getLocale, setupLocalePicker } from './i18n.js';
+
+await loadTranslations();
+
 const optionsContainer = document.getElementById('options');
 const addOptionButton = document.getElementById('add-option');
 const pollForm = document.getElementById('poll-form');
+const questionInput = document.getElementById('question');
+const questionImageInput = document.getElementById('question-image');
+const questionPreviewEl = document.getElementById('question-preview');
+const questionPreviewContentEl = document.getElementById('question-preview-content');
+const timeLimitSelect = document.getElementById('time-limit');
+const allowChangesInput = document.getElementById('allow-changes');
+const questionTypeSelect = document.getElementById('question-type');
+const choiceSettingsEl = document.getElementById('choice-settings');
+const maxChoicesField = document.getElementById('max-choices-field');
+const maxChoicesInput = document.getElementById('max-choices');
+const scaleField = document.getElementById('scale-field');
+const ratingScaleSelect = document.getElementById('rating-scale');
+const saveQuestionButton = document.getElementById('save-question-button');
+const cancelEditButton = document.getElementById('cancel-edit-button');
+const deckListEl = document.getElementById('deck-list');
 const createButton = document.getElementById('create-button');
 const updateButton = document.getElementById('update-button');
 const startButton = document.getElementById('start-button');
 const endButton = document.getElementById('end-button');
+const previousButton = document.getElementById('previous-button');
+const nextButton = document.getElementById('next-button');
+const questionProgressEl = document.getElementById('question-progress');
+const currentQuestionEl = document.getElementById('current-question');
+const countdownEl = document.getElementById('countdown');
+const leaderboardContainer = document.getElementById('leaderboard-container');
+const leaderboardEl = document.getElementById('leaderboard');
+const exportPanel = document.getElementById('export-panel');
+const exportAnswersToggle = document.getElementById('export-answers-toggle');
+const exportAnswersInput = document.getElementById('export-answers');
+const exportCsvLink = document.getElementById('export-csv');
+const exportJsonLink = document.getElementById('export-json');
 const gameCodeEl = document.getElementById('game-code');
+const joinQrImage = document.getElementById('join-qr');
 const statusEl = document.getElementById('status');
+const connectionQualityEl = document.getElementById('connection-quality');
+const presenterLink = document.getElementById('presenter-link');
 const playerListEl = document.getElementById('player-list');
+const lockButton = document.getElementById('lock-button');
+const nameModeSelect = document.getElementById('name-mode');
+const responseModeSelect = document.getElementById('response-mode');
+const teamModeSelect = document.getElementById('team-mode');
+const teamNamesField = document.getElementById('team-names-field');
+const teamNamesInput = document.getElementById('team-names');
+const paceModeSelect = document.getElementById('pace-mode');
+const scheduleFields = document.getElementById('schedule-fields');
+const opensAtInput = document.getElementById('opens-at');
+const closesAtInput = document.getElementById('closes-at');
+const assignmentActions = document.getElementById('assignment-actions');
+const copyResultsLinkButton = document.getElementById('copy-results-link-button');
+const closeAssignmentButton = document.getElementById('close-assignment-button');
+const teamStandingsContainer = document.getElementById('team-standings-container');
+const teamStandingsEl = document.getElementById('team-standings');
+const teamResultsEl = document.getElementById('team-results');
+const auditContainer = document.getElementById('audit-container');
+const auditListEl = document.getElementById('response-audit');
 const resultsEl = document.getElementById('results');
+const deckFileInput = document.getElementById('deck-file');
+const importErrorsEl = document.getElementById('import-errors');
+const templateNameInput = document.getElementById('template-name');
+const saveTemplateButton = document.getElementById('save-template-button');
+const templateListEl = document.getElementById('template-list');
+const roleLabelEl = document.getElementById('role-label');
+const dashboardEl = document.getElementById('dashboard');
+const signInView = document.getElementById('sign-in-view');
+const signInForm = document.getElementById('sign-in-form');
+const signInUsernameField = document.getElementById('sign-in-username-field');
+const signInUsernameInput = document.getElementById('sign-in-username');
+const signInPasswordLabel = document.getElementById('sign-in-password-label');
+const signInPasswordInput = document.getElementById('sign-in-password');
+const signInStatusEl = document.getElementById('sign-in-status');
+const signOutButton = document.getElementById('sign-out-button');
+const localeSelect = document.getElementById('locale-select');
 
 let pollCreated = false;
 let currentGameCode = null;
 let currentOptions = [];
+let currentCorrect = [];
 let pollActive = false;
+let lobbyLocked = false;
+let responseMode = 'named';
+let teams = [];
+let paceMode = 'live';
+let opensAt = null;
+let closesAt = null;
+let hostToken = null;
+// Set once a self-paced game has closed; its results then come from the archive.
+let closedSessionId = null;
+let assignmentResults = [];
+let assignmentTeamResults = null;
+let deck = [];
+let gameQuestions = [];
+let currentIndex = 0;
+let editingIndex = null;
+let deckDirty = false;
+let connected = false;
+let ws = null;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+let countdownTimer = null;
+let templates = [];
+let authMode = 'none';
 
+const SESSION_KEY = 'kaboot:host-session';
+const MAX_RECONNECT_DELAY_MS = 30000;
+const POLICY_VIOLATION_CLOSE_CODE = 1008;
+const OPTION_TYPES = ['single', 'multi'];
 const wsProtocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
-const ws = new WebSocket(`${wsProtocol}://${window.location.host}/ws`);
-
-ws.addEventListener('open', () => {
-  ws.send(JSON.stringify({ type: 'identify', role: 'host' }));
+const connection = createConnectionMonitor({
+  element: connectionQualityEl,
+  send: sendMessage,
+  onDead: dropConnection,
 });
 
-ws.addEventListener('message', (event) => {
-  const message = JSON.parse(event.data);
+function connect() {
+  ws = new WebSocket(`${wsProtocol}://${window.location.host}/ws`);
+  ws.addEventListener('open', handleOpen);
+  ws.addEventListener('message', handleMessage);
+  ws.addEventListener('close', handleClose);
+}
+
+function sendMessage(payload) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+}
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+function saveSession(code, hostToken) {
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify({ code, hostToken }));
+}
+
+function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+}
+
+// Games created through the REST API hand their code and host token to the
+// dashboard through the URL; keep them in the session and tidy up the address bar.
+function adoptSessionFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('code');
+  const hostToken = params.get('hostToken');
+  if (code && hostToken) {
+    saveSession(code, hostToken);
+    window.history.replaceState(null, '', window.location.pathname);
+  }
+}
+
+function handleOpen() {
+  reconnectAttempts = 0;
+  connected = true;
+  sendMessage({ type: 'identify', role: 'host', protocolVersion: PROTOCOL_VERSION, locale: getLocale() });
+  const session = loadSession();
+  if (session && session.code && session.hostToken) {
+    statusEl.textContent = t('host.status.resuming');
+    sendMessage({ type: 'host:resume', code: session.code, hostToken: session.hostToken });
+  } else if (!pollCreated) {
+    statusEl.textContent = t('host.status.buildDeck');
+  }
+  updateControls();
+}
+
+function closeSocket() {
+  clearTimeout(reconnectTimer);
+  connection.stop();
+  connected = false;
+  if (ws) {
+    ws.removeEventListener('message', handleMessage);
+    ws.removeEventListener('close', handleClose);
+    ws.close();
+    ws = null;
+  }
+}
+
+// The monitor gave up on a socket that the browser still reports as open.
+function dropConnection() {
+  closeSocket();
+  handleClose({ code: 1006 });
+}
+
+function handleClose(event) {
+  connection.stop();
+  connected = false;
+  updateControls();
+  const throttled = event.code === POLICY_VIOLATION_CLOSE_CODE;
+  const delay = throttled
+    ? MAX_RECONNECT_DELAY_MS
+    : Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+  reconnectAttempts += 1;
+  statusEl.textContent = t(throttled ? 'common.reconnectingThrottled' : 'common.reconnecting', {
+    seconds: Math.round(delay / 1000),
+  });
+  clearTimeout(reconnectTimer);
+  reconnectTimer = setTimeout(connect, delay);
+}
+
+function handleMessage(event) {
+  const message = parseServerMessage(event.data);
+  if (!message) {
+    return;
+  }
   switch (message.type) {
     case 'identified':
+      connection.start();
+      break;
+    case 'pong':
+      connection.handlePong(message);
       break;
     case 'host:game_created':
       pollCreated = true;
       pollActive = false;
+      lobbyLocked = false;
+      deckDirty = false;
       currentGameCode = message.code;
-      currentOptions = message.options;
-      updateButton.disabled = true;
-      startButton.disabled = false;
-      endButton.disabled = true;
-      createButton.disabled = true;
+      hostToken = message.hostToken;
+      closedSessionId = null;
+      assignmentResults = [];
+      assignmentTeamResults = null;
+      saveSession(message.code, message.hostToken);
+      nameModeSelect.value = message.nameMode;
+      responseMode = message.responseMode;
+      responseModeSelect.value = responseMode;
+      setTeams(message.teamMode, message.teams);
+      setSchedule(message);
+      setGameQuestions(message.questions, message.currentIndex);
       gameCodeEl.textContent = message.code;
-      statusEl.textContent = 'Share the code with players and press start when you are ready.';
+      statusEl.textContent = paceMode === 'self' ? describeSchedule() : t('host.status.created');
       resultsEl.innerHTML = '';
+      renderTeamResults(null);
+      renderLeaderboard([]);
+      renderTeamStandings(null);
+      renderResponseAudit(null);
+      updateControls();
+      break;
+    case 'host:resumed':
+      restoreGame(message);
+      break;
+    case 'host:resume_failed':
+      clearSession();
+      resetGame(message.message);
+      break;
+    case 'host:session_replaced':
+      clearTimeout(reconnectTimer);
+      connection.stop();
+      ws.removeEventListener('close', handleClose);
+      ws.close();
+      connected = false;
+      updateControls();
+      statusEl.textContent = message.message || t('host.status.hostedElsewhere');
       break;
     case 'host:poll_updated':
-      statusEl.textContent = 'Poll updated. Players will see the new question when you start.';
-      currentOptions = message.options;
+      statusEl.textContent = t('host.status.deckUpdated');
       pollActive = false;
-      startButton.disabled = false;
-      endButton.disabled = true;
-      updateButton.disabled = true;
-      resultsEl.innerHTML = '';
+      deckDirty = false;
+      stopCountdown();
+      setGameQuestions(message.questions, message.currentIndex);
+      showResults(message.results, currentCorrect);
+      renderTeamResults(null);
+      renderResponseAudit(null);
+      updateControls();
+      break;
+    case 'host:question_changed':
+      pollActive = false;
+      stopCountdown();
+      setGameQuestions(gameQuestions, message.questionIndex);
+      showResults(message.results, currentCorrect);
+      renderTeamResults(null);
+      renderResponseAudit(null);
+      statusEl.textContent = t('host.status.questionReady', { number: message.questionIndex + 1 });
+      updateControls();
       break;
     case 'host:poll_started':
-      statusEl.textContent = 'Poll is live! Responses will update in real time.';
+      statusEl.textContent = t(responseMode === 'anonymous' ? 'host.status.liveAnonymous' : 'host.status.live');
       pollActive = true;
-      startButton.disabled = true;
-      endButton.disabled = false;
-      resultsEl.innerHTML = renderResults(currentOptions.map(() => 0));
+      showResults(message.results, []);
+      renderTeamResults(null);
+      renderResponseAudit(null);
+      if (message.timeLimit) {
+        startCountdown(message.timeLimit * 1000);
+      }
+      updateControls();
       break;
     case 'host:poll_progress':
-      if (Array.isArray(message.results)) {
-        resultsEl.innerHTML = renderResults(message.results);
-      }
+      showResults(message.results, []);
+      renderTeamResults(message.teamResults, []);
+      renderResponseAudit(message.responses);
       break;
     case 'host:poll_results':
       pollActive = false;
-      startButton.disabled = false;
-      endButton.disabled = true;
-      if (Array.isArray(message.results)) {
-        resultsEl.innerHTML = renderResults(message.results);
-      }
-      statusEl.textContent = 'Poll ended. You can update the question and run it again.';
+      stopCountdown();
+      showResults(message.results, message.correct);
+      renderTeamResults(message.teamResults, message.correct);
+      renderLeaderboard(message.leaderboard || []);
+      renderTeamStandings(message.teamStandings);
+      renderResponseAudit(message.responses);
+      statusEl.textContent = t(
+        currentIndex < gameQuestions.length - 1 ? 'host.status.questionEnded' : 'host.status.lastQuestionEnded'
+      );
+      updateControls();
       break;
     case 'host:players_updated':
       renderPlayers(message.players || []);
       break;
+    case 'host:assignment_progress':
+      assignmentResults = message.results;
+      assignmentTeamResults = message.teamResults;
+      showAssignmentQuestion(currentIndex);
+      renderLeaderboard(message.leaderboard || []);
+      renderTeamStandings(message.teamStandings);
+      break;
+    case 'host:name_mode':
+      nameModeSelect.value = message.nameMode;
+      statusEl.textContent = t(message.nameMode === 'generated' ? 'host.status.nicknames' : 'host.status.ownNames');
+      break;
+    case 'host:lobby_locked':
+      lobbyLocked = message.locked;
+      statusEl.textContent = t(lobbyLocked ? 'host.status.locked' : 'host.status.unlocked');
+      updateControls();
+      break;
+    case 'game:ended':
+      if (message.sessionId) {
+        // The host's session is kept so that a reload reopens the closed assignment.
+        closedSessionId = message.sessionId;
+        pollCreated = false;
+        statusEl.textContent = message.message;
+        playerListEl.querySelectorAll('.deck-actions').forEach((actions) => actions.remove());
+        updateControls();
+        break;
+      }
+      clearSession();
+      resetGame(message.message);
+      break;
     case 'error':
-      statusEl.textContent = message.message || 'An error occurred. Please try again.';
+      handleError(message);
       break;
     default:
       break;
   }
-});
+}
 
-ws.addEventListener('close', () => {
-  statusEl.textContent = 'Connection lost. Refresh the page to reconnect.';
-  startButton.disabled = true;
-  endButton.disabled = true;
-  createButton.disabled = true;
-  updateButton.disabled = true;
-});
+function handleError({ code, message }) {
+  switch (code) {
+    case ERROR_CODES.UNAUTHORIZED:
+      closeSocket();
+      showSignIn(message);
+      return;
+    case ERROR_CODES.UPGRADE_REQUIRED:
+      connected = false;
+      updateControls();
+      break;
+    case ERROR_CODES.NO_GAME:
+      clearSession();
+      resetGame(message);
+      return;
+    case ERROR_CODES.POLL_ACTIVE:
+      pollActive = true;
+      updateControls();
+      break;
+    case ERROR_CODES.POLL_NOT_ACTIVE:
+      pollActive = false;
+      stopCountdown();
+      updateControls();
+      break;
+    default:
+      break;
+  }
+  statusEl.textContent = message;
+}
+
+function setGameQuestions(questions, index) {
+  gameQuestions = questions || [];
+  currentIndex = index || 0;
+  const current = gameQuestions[currentIndex];
+  currentOptions = current ? current.options : [];
+  currentCorrect = current ? current.correct || [] : [];
+  currentQuestionEl.replaceChildren(renderMarkdown(current ? current.question : ''));
+  questionProgressEl.textContent = gameQuestions.length
+    ? t('common.questionProgress', { number: currentIndex + 1, total: gameQuestions.length })
+    : t('host.noGame');
+}
+
+function updateControls() {
+  const lastIndex = gameQuestions.length - 1;
+  const selfPaced = paceMode === 'self';
+  // Self-paced results are browsed locally, so paging works while offline and after closing.
+  const canPage = selfPaced ? pollCreated || closedSessionId !== null : connected && pollCreated && !pollActive;
+  createButton.disabled = !connected || pollCreated || deck.length === 0;
+  updateButton.disabled = !connected || !pollCreated || !deckDirty || deck.length === 0 || selfPaced;
+  startButton.disabled = !connected || !pollCreated || pollActive;
+  endButton.disabled = !connected || !pollActive;
+  startButton.classList.toggle('hidden', selfPaced);
+  endButton.classList.toggle('hidden', selfPaced);
+  previousButton.disabled = !canPage || currentIndex <= 0;
+  nextButton.disabled = !canPage || currentIndex >= lastIndex;
+  assignmentActions.classList.toggle('hidden', !selfPaced || (!pollCreated && closedSessionId === null));
+  closeAssignmentButton.disabled = !connected || !pollCreated;
+  saveTemplateButton.disabled = deck.length === 0;
+  lockButton.disabled = !connected || !pollCreated;
+  responseModeSelect.disabled = pollCreated;
+  teamModeSelect.disabled = pollCreated;
+  teamNamesInput.disabled = pollCreated;
+  paceModeSelect.disabled = pollCreated;
+  opensAtInput.disabled = pollCreated;
+  closesAtInput.disabled = pollCreated;
+  lockButton.textContent = t(lobbyLocked ? 'host.unlockLobby' : 'host.lockLobby');
+  updateGameLinks();
+  renderTemplates();
+}
+
+function updateGameLinks() {
+  const closed = closedSessionId !== null;
+  exportPanel.classList.toggle('hidden', !pollCreated && !closed);
+  exportAnswersToggle.classList.toggle('hidden', responseMode === 'anonymous');
+  presenterLink.classList.toggle('hidden', !pollCreated);
+  joinQrImage.classList.toggle('hidden', !pollCreated);
+  if (!pollCreated && !closed) {
+    return;
+  }
+  joinQrImage.src = `/join/${encodeURIComponent(currentGameCode)}/qr.svg`;
+  presenterLink.href = `/presenter.html?code=${encodeURIComponent(currentGameCode)}`;
+  const answers = exportAnswersInput.checked && responseMode !== 'anonymous' ? '&answers=1' : '';
+  // A link cannot carry a header, so the host token goes in the query.
+  const token = hostToken ? `&hostToken=${encodeURIComponent(hostToken)}` : '';
+  const base = closed
+    ? `/api/sessions/${encodeURIComponent(closedSessionId)}/export`
+    : `/api/games/${encodeURIComponent(currentGameCode)}/export`;
+  exportCsvLink.href = `${base}?format=csv${answers}${token}`;
+  exportJsonLink.href = `${base}?format=json${answers}${token}`;
+}
+
+function restoreGame(game) {
+  closedSessionId = game.sessionId || null;
+  pollCreated = closedSessionId === null;
+  pollActive = game.state === 'active';
+  lobbyLocked = Boolean(game.locked);
+  nameModeSelect.value = game.nameMode || 'free';
+  responseMode = game.responseMode;
+  responseModeSelect.value = responseMode;
+  setTeams(game.teamMode, game.teams);
+  setSchedule(game);
+  currentGameCode = game.code;
+  hostToken = (loadSession() || {}).hostToken || null;
+  gameCodeEl.textContent = game.code;
+  setGameQuestions(game.questions, game.currentIndex);
+  if (!deck.length) {
+    deck = gameQuestions.map((item) => ({
+      ...item,
+      options: [...item.options],
+      correct: [...item.correct],
+    }));
+    deckDirty = false;
+    renderDeck();
+  }
+  renderPlayers(game.players || []);
+  showResults(game.results, pollActive ? [] : currentCorrect);
+  renderTeamResults(game.teamResults, pollActive ? [] : currentCorrect);
+  renderLeaderboard(game.leaderboard || []);
+  renderTeamStandings(game.teamStandings);
+  renderResponseAudit(game.responses);
+  if (pollActive && game.remainingMs !== null && game.remainingMs !== undefined) {
+    startCountdown(game.remainingMs);
+  }
+  if (closedSessionId) {
+    statusEl.textContent = t('host.status.assignmentClosed', { time: formatDateTime(game.endedAt) });
+  } else if (paceMode === 'self') {
+    statusEl.textContent = describeSchedule();
+  } else {
+    statusEl.textContent = t(pollActive ? 'host.status.reconnectedLive' : 'host.status.reconnected');
+  }
+  updateControls();
+}
+
+function resetGame(statusText) {
+  pollCreated = false;
+  pollActive = false;
+  lobbyLocked = false;
+  responseMode = 'named';
+  teams = [];
+  paceMode = 'live';
+  opensAt = null;
+  closesAt = null;
+  hostToken = null;
+  closedSessionId = null;
+  assignmentResults = [];
+  assignmentTeamResults = null;
+  currentGameCode = null;
+  deckDirty = false;
+  gameCodeEl.textContent = t('host.waitingForPoll');
+  setGameQuestions([], 0);
+  stopCountdown();
+  resultsEl.innerHTML = '';
+  renderTeamResults(null);
+  renderPlayers([]);
+  renderLeaderboard([]);
+  renderTeamStandings(null);
+  renderResponseAudit(null);
+  statusEl.textContent = statusText || t('host.status.buildDeck');
+  updateControls();
+}
+
+function fillForm({
+  type = 'single',
+  question = '',
+  options = [],
+  correct = [],
+  timeLimit = null,
+  maxChoices = null,
+  scale = null,
+  allowChanges = false,
+} = {}) {
+  questionTypeSelect.value = type;
+  questionInput.value = question;
+  updateQuestionPreview();
+  timeLimitSelect.value = timeLimit ? String(timeLimit) : '';
+  allowChangesInput.checked = allowChanges;
+  maxChoicesInput.value = maxChoices ? String(maxChoices) : '';
+  ratingScaleSelect.value = scale ? String(scale) : '5';
+  optionsContainer.innerHTML = '';
+  options.forEach((option, index) => addOptionField(option, correct.includes(index)));
+  while (optionsContainer.children.length < 2) {
+    addOptionField();
+  }
+  updateTypeFields();
+}
+
+function updateQuestionPreview() {
+  const text = questionInput.value;
+  questionPreviewContentEl.replaceChildren(renderMarkdown(text));
+  questionPreviewEl.classList.toggle('hidden', !text.trim());
+}
+
+// Uploads the image and drops a markdown reference to it at the cursor. Without
+// sign-in, the server only takes images from the host of a running game.
+async function uploadQuestionImage(file) {
+  statusEl.textContent = t('host.status.uploading', { file: file.name });
+  try {
+    const headers = { 'Content-Type': file.type || 'application/octet-stream' };
+    if (hostToken) {
+      headers['X-Host-Token'] = hostToken;
+    }
+    const upload = await requestJson('/api/uploads', { method: 'POST', headers, body: file });
+    const alt = file.name.replace(/\.[^.]*$/, '').replace(/[[\]\n]/g, '');
+    const snippet = `![${alt}](${upload.url})`;
+    const { selectionStart, selectionEnd, value } = questionInput;
+    questionInput.value = `${value.slice(0, selectionStart)}${snippet}${value.slice(selectionEnd)}`;
+    questionInput.focus();
+    questionInput.setSelectionRange(selectionStart + snippet.length, selectionStart + snippet.length);
+    updateQuestionPreview();
+    statusEl.textContent = t('host.status.imageAdded', { file: file.name });
+  } catch (error) {
+    statusEl.textContent = error.message;
+  }
+}
 
-function addOptionField(value = '') {
+function updateTypeFields() {
+  const type = questionTypeSelect.value;
+  const usesOptions = OPTION_TYPES.includes(type);
+  choiceSettingsEl.classList.toggle('hidden', !usesOptions);
+  optionsContainer.querySelectorAll('input[type="text"]').forEach((input) => {
+    input.required = usesOptions;
+  });
+  maxChoicesField.classList.toggle('hidden', type !== 'multi');
+  scaleField.classList.toggle('hidden', type !== 'rating');
+}
+
+function addOptionField(value = '', isCorrect = false) {
   if (optionsContainer.children.length >= 6) {
     return;
   }
@@ -98,25 +589,26 @@ function addOptionField(value = '') {
   const input = document.createElement('input');
   input.type = 'text';
   input.maxLength = 80;
-  input.placeholder = `Option ${optionsContainer.children.length + 1}`;
+  input.placeholder = t('host.option', { number: optionsContainer.children.length + 1 });
   input.value = value;
-  input.required = true;
+  input.required = OPTION_TYPES.includes(questionTypeSelect.value);
+  const correctLabel = document.createElement('label');
+  correctLabel.className = 'correct-toggle';
+  const correctInput = document.createElement('input');
+  correctInput.type = 'checkbox';
+  correctInput.checked = isCorrect;
+  correctLabel.append(correctInput, t('host.correct'));
   const removeButton = document.createElement('button');
   removeButton.type = 'button';
   removeButton.className = 'remove-button';
-  removeButton.textContent = 'Remove';
+  removeButton.textContent = t('host.remove');
   removeButton.addEventListener('click', () => {
     if (optionsContainer.children.length > 2) {
       optionsContainer.removeChild(row);
     }
     toggleRemoveButtons();
   });
-  input.addEventListener('input', () => {
-    if (pollCreated) {
-      updateButton.disabled = false;
-    }
-  });
-  row.append(input, removeButton);
+  row.append(input, correctLabel, removeButton);
   optionsContainer.append(row);
   toggleRemoveButtons();
 }
@@ -132,119 +624,750 @@ function toggleRemoveButtons() {
 }
 
 function getFormData() {
-  const question = document.getElementById('question').value.trim();
-  const options = Array.from(optionsContainer.querySelectorAll('input'))
-    .map((input) => input.value.trim())
-    .filter((value) => value.length > 0);
-  return { question, options };
+  const type = questionTypeSelect.value;
+  const question = questionInput.value.trim();
+  const timeLimit = Number(timeLimitSelect.value) || null;
+  const allowChanges = allowChangesInput.checked;
+  if (!OPTION_TYPES.includes(type)) {
+    const scale = type === 'rating' ? Number(ratingScaleSelect.value) : null;
+    return { type, question, options: [], correct: [], timeLimit, maxChoices: null, scale, allowChanges };
+  }
+  const options = [];
+  const correct = [];
+  Array.from(optionsContainer.children).forEach((row) => {
+    const value = row.querySelector('input[type="text"]').value.trim();
+    if (!value) {
+      return;
+    }
+    if (row.querySelector('input[type="checkbox"]').checked) {
+      correct.push(options.length);
+    }
+    options.push(value);
+  });
+  const maxChoices = type === 'multi' ? Number(maxChoicesInput.value) || options.length : null;
+  return { type, question, options, correct, timeLimit, maxChoices, scale: null, allowChanges };
+}
+
+function resetForm() {
+  editingIndex = null;
+  saveQuestionButton.textContent = t('host.addToDeck');
+  cancelEditButton.classList.add('hidden');
+  fillForm();
+}
+
+function markDeckChanged() {
+  deckDirty = pollCreated;
+  renderDeck();
+  updateControls();
+}
+
+function moveQuestion(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= deck.length) {
+    return;
+  }
+  [deck[index], deck[target]] = [deck[target], deck[index]];
+  if (editingIndex === index) {
+    editingIndex = target;
+  } else if (editingIndex === target) {
+    editingIndex = index;
+  }
+  markDeckChanged();
+}
+
+function editQuestion(index) {
+  editingIndex = index;
+  saveQuestionButton.textContent = t('host.saveQuestion');
+  cancelEditButton.classList.remove('hidden');
+  fillForm(deck[index]);
+  questionInput.focus();
+}
+
+function removeQuestion(index) {
+  deck.splice(index, 1);
+  if (editingIndex === index) {
+    resetForm();
+  } else if (editingIndex !== null && editingIndex > index) {
+    editingIndex -= 1;
+  }
+  markDeckChanged();
+}
+
+function renderDeck() {
+  deckListEl.innerHTML = '';
+  if (!deck.length) {
+    const empty = document.createElement('li');
+    empty.className = 'hint';
+    empty.textContent = t('host.deck.empty');
+    deckListEl.append(empty);
+    return;
+  }
+  deck.forEach((item, index) => {
+    const li = document.createElement('li');
+    li.className = index === editingIndex ? 'deck-item editing' : 'deck-item';
+    const text = document.createElement('span');
+    text.className = 'deck-question';
+    const details = [t(`host.typeLabels.${item.type}`)];
+    if (item.options.length) {
+      details.push(t('host.deck.options', { count: item.options.length }));
+    }
+    if (item.scale) {
+      details.push(t('host.deck.scale', { scale: item.scale }));
+    }
+    if (item.correct.length) {
+      details.push(t('host.deck.correct', { count: item.correct.length }));
+    }
+    if (item.timeLimit) {
+      details.push(t('host.deck.timeLimit', { seconds: item.timeLimit }));
+    }
+    if (item.allowChanges) {
+      details.push(t('host.deck.changesAllowed'));
+    }
+    text.textContent = `${toPlainText(item.question)} (${details.join(' · ')})`;
+    const actions = document.createElement('span');
+    actions.className = 'deck-actions';
+    [
+      ['↑', t('host.deck.moveUp'), () => moveQuestion(index, -1), index === 0],
+      ['↓', t('host.deck.moveDown'), () => moveQuestion(index, 1), index === deck.length - 1],
+      [t('host.deck.edit'), t('host.deck.editTitle'), () => editQuestion(index), false],
+      [t('host.remove'), t('host.deck.removeTitle'), () => removeQuestion(index), false],
+    ].forEach(([label, title, onClick, disabled]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'remove-button';
+      button.textContent = label;
+      button.title = title;
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      actions.append(button);
+    });
+    li.append(text, actions);
+    deckListEl.append(li);
+  });
+}
+
+function setTeams(teamMode, gameTeams) {
+  teams = gameTeams || [];
+  teamModeSelect.value = teamMode || 'off';
+  if (teams.length) {
+    teamNamesInput.value = teams.map((team) => team.name).join(', ');
+  }
+  teamNamesField.classList.toggle('hidden', teamModeSelect.value === 'off');
+}
+
+function setSchedule(game) {
+  paceMode = game.paceMode || 'live';
+  opensAt = game.opensAt;
+  closesAt = game.closesAt;
+  paceModeSelect.value = paceMode;
+  scheduleFields.classList.toggle('hidden', paceMode === 'live');
+}
+
+function formatDateTime(time) {
+  return new Date(time).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function describeSchedule() {
+  return Date.now() < opensAt
+    ? t('host.status.assignmentScheduled', { opens: formatDateTime(opensAt), closes: formatDateTime(closesAt) })
+    : t('host.status.assignmentOpen', { closes: formatDateTime(closesAt) });
+}
+
+// Players in a self-paced game are spread across the deck, so the host pages
+// through the results of every question rather than following a current one.
+function showAssignmentQuestion(index) {
+  setGameQuestions(gameQuestions, index);
+  showResults(assignmentResults[index], currentCorrect);
+  renderTeamResults(assignmentTeamResults && assignmentTeamResults[index], currentCorrect);
+  updateControls();
+}
+
+function createTeamHeading(name, count) {
+  const li = document.createElement('li');
+  li.className = 'team-heading';
+  li.textContent = `${name} · ${count}`;
+  return li;
 }
 
 function renderPlayers(players) {
   playerListEl.innerHTML = '';
   if (!players.length) {
-    playerListEl.innerHTML = '<li>No players yet. Share the code!</li>';
+    const empty = document.createElement('li');
+    empty.textContent = t('host.playerList.empty');
+    playerListEl.append(empty);
     return;
   }
-  players.forEach((player) => {
+  if (!teams.length) {
+    players.forEach((player) => playerListEl.append(createPlayerItem(player)));
+    return;
+  }
+  teams.forEach((team) => {
+    const members = players.filter((player) => player.teamId === team.id);
+    playerListEl.append(createTeamHeading(team.name, members.length));
+    members.forEach((player) => playerListEl.append(createPlayerItem(player)));
+  });
+  // Players who joined before the game had teams, e.g. after a restart.
+  const unassigned = players.filter((player) => !teams.some((team) => team.id === player.teamId));
+  if (unassigned.length) {
+    playerListEl.append(createTeamHeading(t('host.playerList.noTeam'), unassigned.length));
+    unassigned.forEach((player) => playerListEl.append(createPlayerItem(player)));
+  }
+}
+
+function createPlayerItem(player) {
+  const li = document.createElement('li');
+  const nameSpan = document.createElement('span');
+  nameSpan.textContent = player.name;
+  const badge = document.createElement('span');
+  if (paceMode === 'self') {
+    badge.className = player.connected === false ? 'badge badge-muted' : 'badge';
+    badge.textContent = player.hasVoted
+      ? t('host.playerList.finished')
+      : t('host.playerList.progress', { number: player.progress, total: gameQuestions.length });
+  } else if (player.connected === false) {
+    badge.className = 'badge badge-muted';
+    badge.textContent = t(player.hasVoted ? 'host.playerList.votedDisconnected' : 'host.playerList.disconnected');
+  } else {
+    badge.className = 'badge';
+    badge.textContent = t(player.hasVoted ? 'host.playerList.voted' : 'host.playerList.waiting');
+  }
+  const actions = document.createElement('span');
+  actions.className = 'deck-actions';
+  [
+    ['rename', () => renamePlayer(player)],
+    ['kick', () => sendMessage({ type: 'host:kick_player', playerId: player.id })],
+    ['ban', () => banPlayer(player)],
+  ].forEach(([action, onClick]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'remove-button';
+    button.textContent = t(`host.playerList.${action}`);
+    button.title = t(`host.playerList.${action}Title`, { name: player.name });
+    button.addEventListener('click', onClick);
+    actions.append(button);
+  });
+  li.append(nameSpan, badge);
+  // Players of a closed assignment can no longer be managed.
+  if (closedSessionId === null) {
+    li.append(actions);
+  }
+  return li;
+}
+
+function renamePlayer(player) {
+  const name = window.prompt(t('host.playerList.renamePrompt', { name: player.name }), player.name);
+  if (name !== null && name.trim() && name.trim() !== player.name) {
+    sendMessage({ type: 'host:rename_player', playerId: player.id, name: name.trim() });
+  }
+}
+
+function banPlayer(player) {
+  if (window.confirm(t('host.playerList.banConfirm', { name: player.name }))) {
+    sendMessage({ type: 'host:ban_player', playerId: player.id });
+  }
+}
+
+function showResults(results, correct) {
+  resultsEl.replaceChildren(renderResults(results, { options: currentOptions, correct }));
+}
+
+// Null when the game has no teams or is anonymous.
+function renderTeamResults(teamResults, correct = []) {
+  teamResultsEl.innerHTML = '';
+  teamResultsEl.classList.toggle('hidden', !teamResults);
+  (teamResults || []).forEach((team) => {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = t('host.teamAnswers', { name: team.name, count: team.results.total });
+    details.append(summary, renderResults(team.results, { options: currentOptions, correct }));
+    teamResultsEl.append(details);
+  });
+}
+
+function renderTeamStandings(standings) {
+  teamStandingsEl.innerHTML = '';
+  teamStandingsContainer.classList.toggle('hidden', !standings);
+  (standings || []).forEach((team) => {
     const li = document.createElement('li');
     const nameSpan = document.createElement('span');
-    nameSpan.textContent = player.name;
-    const badge = document.createElement('span');
-    badge.className = 'badge';
-    badge.textContent = player.hasVoted ? 'Voted' : 'Waiting';
-    li.append(nameSpan, badge);
-    playerListEl.append(li);
-  });
-}
-
-function renderResults(counts) {
-  const total = counts.reduce((sum, value) => sum + value, 0);
-  return counts
-    .map((count, index) => {
-      const option = currentOptions[index] || `Option ${index + 1}`;
-      const percent = total === 0 ? 0 : Math.round((count / total) * 100);
-      return `
-        <div class="result-row">
-          <div class="result-header">
-            <strong>${option}</strong>
-            <span class="count">${count} vote${count === 1 ? '' : 's'} (${percent}%)</span>
-          </div>
-          <div class="progress">
-            <div class="progress-bar" style="width: ${percent}%;"></div>
-          </div>
-        </div>
-      `;
-    })
-    .join('');
+    nameSpan.textContent = `${team.rank}. ${team.name}`;
+    const scoreSpan = document.createElement('span');
+    scoreSpan.className = 'count';
+    scoreSpan.textContent = t('host.teamScore', { average: team.average, score: team.score });
+    li.append(nameSpan, scoreSpan);
+    teamStandingsEl.append(li);
+  });
+}
+
+function renderLeaderboard(entries) {
+  leaderboardEl.innerHTML = '';
+  const scored = entries.filter((entry) => entry.score > 0);
+  leaderboardContainer.classList.toggle('hidden', scored.length === 0);
+  entries.forEach((entry) => {
+    const li = document.createElement('li');
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = `${entry.rank}. ${entry.name}`;
+    const scoreSpan = document.createElement('span');
+    scoreSpan.className = 'count';
+    scoreSpan.textContent =
+      entry.streak > 1
+        ? t('host.streak', { score: entry.score, streak: entry.streak })
+        : t('common.points', { score: entry.score });
+    li.append(nameSpan, scoreSpan);
+    leaderboardEl.append(li);
+  });
+}
+
+function describeAnswer(response) {
+  const current = gameQuestions[currentIndex];
+  switch (current && current.type) {
+    case 'single':
+      return toPlainText(currentOptions[response]);
+    case 'multi':
+      return response.map((choiceIndex) => toPlainText(currentOptions[choiceIndex])).join(', ');
+    default:
+      return String(response);
+  }
+}
+
+// Null in anonymous games, where the server never learns who answered what.
+function renderResponseAudit(entries) {
+  auditListEl.innerHTML = '';
+  auditContainer.classList.toggle('hidden', !entries || entries.length === 0);
+  (entries || []).forEach((entry) => {
+    const li = document.createElement('li');
+    if (entry.correct !== null) {
+      li.className = entry.correct ? 'correct' : 'incorrect';
+    }
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = `${entry.name}: ${describeAnswer(entry.response)}`;
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'count';
+    timeSpan.textContent = t('host.responseSeconds', { seconds: (entry.responseMs / 1000).toFixed(1) });
+    timeSpan.title = t('host.answeredAt', { time: new Date(entry.answeredAt).toLocaleTimeString(getLocale()) });
+    li.append(nameSpan, timeSpan);
+    auditListEl.append(li);
+  });
+}
+
+function startCountdown(remainingMs) {
+  stopCountdown();
+  const endsAt = Date.now() + remainingMs;
+  const tick = () => {
+    const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+    countdownEl.textContent = t('common.secondsLeft', { seconds });
+    countdownEl.classList.toggle('urgent', seconds <= 5);
+    if (seconds === 0) {
+      clearInterval(countdownTimer);
+    }
+  };
+  countdownEl.classList.remove('hidden');
+  tick();
+  countdownTimer = setInterval(tick, 250);
+}
+
+function stopCountdown() {
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+  countdownEl.classList.add('hidden');
+}
+
+async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Accept-Language': getLocale(),
+      ...(options.headers || (options.body ? { 'Content-Type': 'application/json' } : {})),
+    },
+  });
+  const data = response.status === 204 ? {} : await response.json();
+  if (response.status === 401 && url !== '/api/auth/login') {
+    closeSocket();
+    showSignIn(data.error);
+  }
+  if (!response.ok) {
+    const error = new Error(data.error || t('common.requestFailed'));
+    error.details = data.errors || [];
+    throw error;
+  }
+  return data;
+}
+
+function showImportErrors(errors) {
+  importErrorsEl.innerHTML = '';
+  errors.forEach(({ row, message }) => {
+    const item = document.createElement('li');
+    item.textContent = `${row}: ${message}`;
+    importErrorsEl.append(item);
+  });
+  importErrorsEl.classList.toggle('hidden', errors.length === 0);
+}
+
+function replaceDeck(questions) {
+  if (deck.length && !window.confirm(t('host.confirmReplaceDeck'))) {
+    return false;
+  }
+  deck = questions;
+  resetForm();
+  markDeckChanged();
+  return true;
+}
+
+async function importDeckFile(file) {
+  showImportErrors([]);
+  try {
+    const content = await file.text();
+    const data = await requestJson('/api/decks/import', {
+      method: 'POST',
+      body: JSON.stringify({ filename: file.name, content }),
+    });
+    if (replaceDeck(data.questions)) {
+      if (data.name && !templateNameInput.value) {
+        templateNameInput.value = data.name;
+      }
+      statusEl.textContent = t('host.status.imported', { count: data.questions.length, file: file.name });
+    }
+  } catch (error) {
+    statusEl.textContent = error.message;
+    showImportErrors(error.details || []);
+  }
+}
+
+async function loadTemplates() {
+  try {
+    ({ templates } = await requestJson('/api/templates'));
+  } catch (error) {
+    templates = [];
+  }
+  renderTemplates();
+}
+
+function showSignIn(message) {
+  const accounts = authMode === 'accounts';
+  dashboardEl.classList.add('hidden');
+  signOutButton.classList.add('hidden');
+  signInView.classList.remove('hidden');
+  signInUsernameField.classList.toggle('hidden', !accounts);
+  signInUsernameInput.required = accounts;
+  signInPasswordLabel.textContent = t(accounts ? 'host.password' : 'host.hostSecret');
+  signInStatusEl.textContent = message || '';
+  (accounts && !signInUsernameInput.value ? signInUsernameInput : signInPasswordInput).focus();
+}
+
+// The socket is opened only once signed in, so the server sees the session cookie.
+function startDashboard(owner) {
+  signInView.classList.add('hidden');
+  dashboardEl.classList.remove('hidden');
+  signOutButton.classList.toggle('hidden', authMode === 'none');
+  roleLabelEl.textContent = authMode === 'accounts' ? t('host.roleWithOwner', { owner }) : t('host.role');
+  loadTemplates();
+  closeSocket();
+  connect();
+}
+
+async function checkSession() {
+  try {
+    const session = await requestJson('/api/auth/session');
+    authMode = session.mode;
+    if (session.required && !session.owner) {
+      showSignIn();
+    } else {
+      startDashboard(session.owner);
+    }
+  } catch (error) {
+    // Let the socket's own reconnect loop deal with a server that is not up yet.
+    startDashboard(null);
+  }
+}
+
+// datetime-local inputs hold the host's local time without a zone; Date reads them the same way.
+function readDateTime(input) {
+  return input.value ? new Date(input.value).getTime() : undefined;
+}
+
+function requestNewGame() {
+  const selfPaced = paceModeSelect.value === 'self';
+  sendMessage({
+    type: 'host:create_game',
+    questions: deck,
+    nameMode: nameModeSelect.value,
+    responseMode: responseModeSelect.value,
+    teamMode: teamModeSelect.value,
+    teams: teamNamesInput.value.split(',').map((name) => name.trim()).filter(Boolean),
+    paceMode: paceModeSelect.value,
+    opensAt: selfPaced ? readDateTime(opensAtInput) : undefined,
+    closesAt: selfPaced ? readDateTime(closesAtInput) : undefined,
+  });
+}
+
+async function useTemplate(id, startGame) {
+  try {
+    const template = await requestJson(`/api/templates/${encodeURIComponent(id)}`);
+    if (!replaceDeck(template.questions)) {
+      return;
+    }
+    templateNameInput.value = template.name;
+    updateControls();
+    if (startGame) {
+      requestNewGame();
+    } else {
+      statusEl.textContent = t('host.status.templateLoaded', { name: template.name });
+    }
+  } catch (error) {
+    statusEl.textContent = error.message;
+  }
+}
+
+async function deleteTemplate(id) {
+  const template = templates.find((entry) => entry.id === id);
+  if (!template || !window.confirm(t('host.templates.confirmDelete', { name: template.name }))) {
+    return;
+  }
+  try {
+    await requestJson(`/api/templates/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    await loadTemplates();
+  } catch (error) {
+    statusEl.textContent = error.message;
+  }
+}
+
+function renderTemplates() {
+  templateListEl.innerHTML = '';
+  if (!templates.length) {
+    const empty = document.createElement('li');
+    empty.className = 'hint';
+    empty.textContent = t('host.templates.empty');
+    templateListEl.append(empty);
+    return;
+  }
+  templates.forEach((template) => {
+    const li = document.createElement('li');
+    li.className = 'deck-item';
+    const text = document.createElement('span');
+    text.className = 'deck-question';
+    text.textContent = t('host.templates.summary', { name: template.name, count: template.questionCount });
+    const actions = document.createElement('span');
+    actions.className = 'deck-actions';
+    [
+      [t('host.templates.load'), t('host.templates.loadTitle'), () => useTemplate(template.id, false), false],
+      [
+        t('host.templates.start'),
+        t('host.templates.startTitle'),
+        () => useTemplate(template.id, true),
+        !connected || pollCreated,
+      ],
+      [t('host.templates.delete'), t('host.templates.deleteTitle'), () => deleteTemplate(template.id), false],
+    ].forEach(([label, title, onClick, disabled]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'remove-button';
+      button.textContent = label;
+      button.title = title;
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      actions.append(button);
+    });
+    li.append(text, actions);
+    templateListEl.append(li);
+  });
 }
 
 addOptionButton.addEventListener('click', () => {
   addOptionField();
-  if (pollCreated) {
-    updateButton.disabled = false;
-  }
 });
 
 pollForm.addEventListener('submit', (event) => {
   event.preventDefault();
-  const { question, options } = getFormData();
-  if (options.length < 2) {
-    statusEl.textContent = 'Please add at least two answer options.';
+  const item = getFormData();
+  if (!item.question) {
+    statusEl.textContent = t('host.status.enterQuestion');
     return;
   }
-  const payload = {
-    type: pollCreated ? 'host:update_poll' : 'host:create_game',
-    question,
-    options,
-  };
-  ws.send(JSON.stringify(payload));
+  if (OPTION_TYPES.includes(item.type) && item.options.length < 2) {
+    statusEl.textContent = t('host.status.twoOptions');
+    return;
+  }
+  if (item.type === 'single' && item.correct.length > 1) {
+    statusEl.textContent = t('host.status.singleCorrect');
+    return;
+  }
+  if (item.type === 'multi' && item.correct.length > item.maxChoices) {
+    statusEl.textContent = t('host.status.tooManyCorrect');
+    return;
+  }
+  if (editingIndex === null) {
+    deck.push(item);
+  } else {
+    deck[editingIndex] = item;
+  }
+  resetForm();
+  markDeckChanged();
+});
+
+questionTypeSelect.addEventListener('change', updateTypeFields);
+
+questionInput.addEventListener('input', updateQuestionPreview);
+
+questionImageInput.addEventListener('change', () => {
+  const [file] = questionImageInput.files;
+  if (file) {
+    uploadQuestionImage(file).finally(() => {
+      questionImageInput.value = '';
+    });
+  }
+});
+
+exportAnswersInput.addEventListener('change', updateGameLinks);
+
+deckFileInput.addEventListener('change', () => {
+  const [file] = deckFileInput.files;
+  if (file) {
+    importDeckFile(file).finally(() => {
+      deckFileInput.value = '';
+    });
+  }
+});
+
+saveTemplateButton.addEventListener('click', async () => {
+  try {
+    const template = await requestJson('/api/templates', {
+      method: 'POST',
+      body: JSON.stringify({ name: templateNameInput.value, questions: deck }),
+    });
+    statusEl.textContent = t('host.status.templateSaved', { name: template.name });
+    await loadTemplates();
+  } catch (error) {
+    statusEl.textContent = error.message;
+  }
+});
+
+cancelEditButton.addEventListener('click', () => {
+  resetForm();
+  renderDeck();
+});
+
+createButton.addEventListener('click', () => {
+  if (!deck.length) {
+    statusEl.textContent = t('host.status.deckEmpty');
+    return;
+  }
+  requestNewGame();
+});
+
+teamModeSelect.addEventListener('change', () => {
+  teamNamesField.classList.toggle('hidden', teamModeSelect.value === 'off');
+});
+
+paceModeSelect.addEventListener('change', () => {
+  scheduleFields.classList.toggle('hidden', paceModeSelect.value === 'live');
+});
+
+nameModeSelect.addEventListener('change', () => {
+  if (pollCreated) {
+    sendMessage({ type: 'host:set_name_mode', nameMode: nameModeSelect.value });
+  }
 });
 
 updateButton.addEventListener('click', () => {
-  const { question, options } = getFormData();
   if (!pollCreated) {
-    statusEl.textContent = 'Create a poll before saving changes.';
+    statusEl.textContent = t('host.status.createBeforeSaving');
     return;
   }
-  if (options.length < 2) {
-    statusEl.textContent = 'Please add at least two answer options.';
+  if (!deck.length) {
+    statusEl.textContent = t('host.status.deckEmpty');
     return;
   }
-  ws.send(
-    JSON.stringify({
-      type: 'host:update_poll',
-      question,
-      options,
-    })
-  );
+  sendMessage({ type: 'host:update_poll', questions: deck });
+});
+
+lockButton.addEventListener('click', () => {
+  sendMessage({ type: 'host:lock_lobby', locked: !lobbyLocked });
 });
 
 startButton.addEventListener('click', () => {
   if (!pollCreated) {
-    statusEl.textContent = 'Create a poll before starting.';
+    statusEl.textContent = t('host.status.createBeforeStarting');
     return;
   }
-  ws.send(JSON.stringify({ type: 'host:start_poll' }));
+  sendMessage({ type: 'host:start_poll' });
 });
 
 endButton.addEventListener('click', () => {
   if (!pollActive) {
-    statusEl.textContent = 'The poll is not currently running.';
+    statusEl.textContent = t('host.status.notRunning');
     return;
   }
-  ws.send(JSON.stringify({ type: 'host:end_poll' }));
+  sendMessage({ type: 'host:end_poll' });
 });
 
-['question', 'options'].forEach((field) => {
-  if (field === 'question') {
-    document.getElementById('question').addEventListener('input', () => {
-      if (pollCreated) {
-        updateButton.disabled = false;
-      }
-    });
+signInForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const credentials =
+    authMode === 'accounts'
+      ? { username: signInUsernameInput.value.trim(), password: signInPasswordInput.value }
+      : { secret: signInPasswordInput.value };
+  signInStatusEl.textContent = t('host.signingIn');
+  try {
+    const { owner } = await requestJson('/api/auth/login', { method: 'POST', body: JSON.stringify(credentials) });
+    signInPasswordInput.value = '';
+    startDashboard(owner);
+  } catch (error) {
+    signInStatusEl.textContent = error.message;
+    signInPasswordInput.select();
+  }
+});
+
+signOutButton.addEventListener('click', async () => {
+  try {
+    await requestJson('/api/auth/logout', { method: 'POST' });
+  } catch (error) {
+    // Signing out locally still hides the dashboard and drops the socket.
+  }
+  closeSocket();
+  clearSession();
+  resetGame();
+  showSignIn(t('host.signedOut'));
+});
+
+previousButton.addEventListener('click', () => {
+  if (paceMode === 'self') {
+    showAssignmentQuestion(currentIndex - 1);
+    return;
+  }
+  sendMessage({ type: 'host:previous_question' });
+});
+
+nextButton.addEventListener('click', () => {
+  if (paceMode === 'self') {
+    showAssignmentQuestion(currentIndex + 1);
+    return;
+  }
+  sendMessage({ type: 'host:next_question' });
+});
+
+closeAssignmentButton.addEventListener('click', () => {
+  if (window.confirm(t('host.confirmCloseAssignment'))) {
+    sendMessage({ type: 'host:close_assignment' });
+  }
+});
+
+// The link carries the host token, which is all it takes to see the results later.
+copyResultsLinkButton.addEventListener('click', async () => {
+  const params = new URLSearchParams({ code: currentGameCode, hostToken });
+  const link = `${window.location.origin}/host.html?${params}`;
+  try {
+    await navigator.clipboard.writeText(link);
+    statusEl.textContent = t('host.status.resultsLinkCopied');
+  } catch (error) {
+    window.prompt(t('host.resultsLinkPrompt'), link);
   }
 });
 
-addOptionField();
-addOptionField();
+// A reload resumes a running game, but a deck that is not in one would be lost.
+setupLocalePicker(localeSelect, { shouldConfirm: () => deck.length > 0 && (!pollCreated || deckDirty) });
+adoptSessionFromUrl();
+fillForm();
+renderDeck();
 renderPlayers([]);
+updateControls();
+checkSession();
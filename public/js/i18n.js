@@ -0,0 +1,98 @@
+import { DEFAULT_LOCALE, LOCALES, matchLocale, formatMessage } from './locales.mjs';
+
+const LOCALE_KEY = 'kaboot:locale';
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label', 'value'];
+
+let locale = DEFAULT_LOCALE;
+let bundle = {};
+let fallback = {};
+
+function savedLocale() {
+  try {
+    return localStorage.getItem(LOCALE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchBundle(name) {
+  const response = await fetch(`/locales/${name}.json`);
+  if (!response.ok) {
+    throw new Error(`Could not load the ${name} translations.`);
+  }
+  return response.json();
+}
+
+export function t(key, params) {
+  return formatMessage({ locale, bundle, fallback }, key, params);
+}
+
+export function getLocale() {
+  return locale;
+}
+
+// Static text is tagged in the HTML: data-i18n replaces the text content and
+// data-i18n-<attribute> one of TRANSLATED_ATTRIBUTES. The English text stays
+// in place for keys that have no translation.
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    const text = t(element.dataset.i18n);
+    if (text !== element.dataset.i18n) {
+      element.textContent = text;
+    }
+  });
+  TRANSLATED_ATTRIBUTES.forEach((attribute) => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+      const key = element.getAttribute(`data-i18n-${attribute}`);
+      const text = t(key);
+      if (text !== key) {
+        element.setAttribute(attribute, text);
+      }
+    });
+  });
+}
+
+// The language picked on any page wins, then the browser's preferences.
+// Each page awaits this before it renders anything.
+export async function loadTranslations() {
+  locale = matchLocale([savedLocale(), ...(navigator.languages || [navigator.language])].filter(Boolean));
+  try {
+    [fallback, bundle] = await Promise.all([
+      fetchBundle(DEFAULT_LOCALE),
+      locale === DEFAULT_LOCALE ? null : fetchBundle(locale),
+    ]);
+    bundle = bundle || fallback;
+  } catch (error) {
+    // Keys are shown in place of text rather than leaving the page blank.
+    locale = DEFAULT_LOCALE;
+  }
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LOCALES[locale].dir;
+  translatePage(document);
+}
+
+// Switching language reloads the page, which every page already recovers from
+// through its saved session. `shouldConfirm` lets a page warn about work that
+// a reload would lose.
+export function setupLocalePicker(select, { shouldConfirm = () => false } = {}) {
+  Object.entries(LOCALES).forEach(([value, { name }]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.lang = value;
+    option.textContent = name;
+    select.append(option);
+  });
+  select.value = locale;
+  select.addEventListener('change', () => {
+    if (shouldConfirm() && !window.confirm(t('common.confirmLanguageChange'))) {
+      select.value = locale;
+      return;
+    }
+    try {
+      localStorage.setItem(LOCALE_KEY, select.value);
+    } catch (error) {
+      return;
+    }
+    window.location.reload();
+  });
+}
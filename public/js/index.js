@@ -0,0 +1,4 @@
+import { loadTranslations, setupLocalePicker } from './i18n.js';
+
+await loadTranslations();
+setupLocalePicker(document.getElementById('locale-select'));
@@ -0,0 +1,45 @@
+// Shared by the browser clients and the server. Each locale has a bundle in
+// public/locales/<locale>.json; `dir` drives right-to-left layout.
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr' },
+  ar: { name: 'العربية', dir: 'rtl' },
+  he: { name: 'עברית', dir: 'rtl' },
+};
+
+// Takes language tags in order of preference ("he-IL", "en-US", …) and returns
+// the first supported locale, matching on the language part only.
+export function matchLocale(tags) {
+  for (const tag of tags) {
+    const language = String(tag || '').toLowerCase().split(/[-_]/)[0];
+    if (Object.prototype.hasOwnProperty.call(LOCALES, language)) {
+      return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookup(bundle, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+}
+
+// Missing keys fall back to the default bundle, then to the key itself, so an
+// incomplete translation never leaves a blank. Messages with a `count` can be
+// plural objects keyed by Intl.PluralRules categories ("one", "few", "other", …).
+export function formatMessage({ locale, bundle, fallback }, key, params = {}) {
+  let message = lookup(bundle, key);
+  if (message === undefined) {
+    message = lookup(fallback, key);
+  }
+  if (message && typeof message === 'object') {
+    const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+    message = message[category] !== undefined ? message[category] : message.other;
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+  );
+}
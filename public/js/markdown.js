@@ -0,0 +1,164 @@
+// Renders the markdown subset allowed in questions and options: paragraphs and
+// line breaks, bullet lists, fenced code blocks, `code`, **bold**, *italic*,
+// [links](https://…) and ![images](/uploads/…). Everything is built with DOM
+// calls and text nodes, never parsed as HTML, so labels cannot inject markup.
+
+import { t } from './i18n.js';
+
+// Only images uploaded to this server are shown; see lib/uploads.js.
+const UPLOAD_URL_PATTERN = /^\/uploads\/[a-f0-9]{64}\.(png|jpg|gif|webp)$/;
+const LINK_URL_PATTERN = /^https?:\/\//i;
+const FENCE_PATTERN = /^```/;
+const LIST_ITEM_PATTERN = /^[-*] +/;
+
+const emphasis = (tag) => ([, text], options) => wrap(tag, text, options);
+
+// At each step the rule that matches earliest wins. Underscores only count at
+// word edges so snake_case names survive.
+const INLINE_RULES = [
+  { pattern: /`([^`\n]+)`/, render: ([, code]) => createElement('code', code) },
+  { pattern: /!\[([^\]\n]*)\]\(([^)\s]+)\)/, render: renderImage },
+  { pattern: /\[([^\]\n]+)\]\(([^)\s]+)\)/, render: renderLink },
+  { pattern: /\*\*(\S[^\n]*?)\*\*/, render: emphasis('strong') },
+  { pattern: /\*(\S(?:[^*\n]*\S)?)\*/, render: emphasis('em') },
+  { pattern: /(?<![\p{L}\p{N}])_(\S(?:[^_\n]*\S)?)_(?![\p{L}\p{N}])/u, render: emphasis('em') },
+];
+
+function createElement(tag, text) {
+  const element = document.createElement(tag);
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+function wrap(tag, text, options) {
+  const element = createElement(tag);
+  element.append(renderInline(text, options));
+  return element;
+}
+
+function renderImage([source, alt, url]) {
+  if (!UPLOAD_URL_PATTERN.test(url)) {
+    return document.createTextNode(source);
+  }
+  const image = createElement('img');
+  image.src = url;
+  image.alt = alt;
+  image.loading = 'lazy';
+  return image;
+}
+
+// Links inside answer buttons would steal the tap meant for the answer, so
+// inline-only content keeps just the link text.
+function renderLink([source, text, url], options) {
+  if (!LINK_URL_PATTERN.test(url)) {
+    return document.createTextNode(source);
+  }
+  if (options.inline) {
+    return renderInline(text, options);
+  }
+  const link = createElement('a');
+  link.href = url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.append(renderInline(text, options));
+  return link;
+}
+
+function renderInline(text, options) {
+  const fragment = document.createDocumentFragment();
+  let rest = text;
+  while (rest) {
+    let next = null;
+    INLINE_RULES.forEach((rule) => {
+      const match = rule.pattern.exec(rest);
+      if (match && (!next || match.index < next.match.index)) {
+        next = { rule, match };
+      }
+    });
+    if (!next) {
+      fragment.append(rest);
+      break;
+    }
+    const { rule, match } = next;
+    fragment.append(rest.slice(0, match.index), rule.render(match, options));
+    rest = rest.slice(match.index + match[0].length);
+  }
+  return fragment;
+}
+
+function renderLines(lines, options) {
+  const fragment = document.createDocumentFragment();
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      fragment.append(createElement('br'));
+    }
+    fragment.append(renderInline(line, options));
+  });
+  return fragment;
+}
+
+// Splits the text into code blocks, lists and paragraphs. Paragraphs end at a
+// blank line; single line breaks inside them are kept.
+function renderBlocks(text, options) {
+  const fragment = document.createDocumentFragment();
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    if (FENCE_PATTERN.test(line)) {
+      const end = lines.findIndex((candidate, position) => position > index && FENCE_PATTERN.test(candidate));
+      const last = end === -1 ? lines.length : end;
+      const pre = createElement('pre');
+      pre.append(createElement('code', lines.slice(index + 1, last).join('\n')));
+      fragment.append(pre);
+      index = last + 1;
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const list = createElement('ul');
+      while (index < lines.length && LIST_ITEM_PATTERN.test(lines[index])) {
+        const item = createElement('li');
+        item.append(renderInline(lines[index].replace(LIST_ITEM_PATTERN, ''), options));
+        list.append(item);
+        index += 1;
+      }
+      fragment.append(list);
+    } else if (!line.trim()) {
+      index += 1;
+    } else {
+      const paragraph = [];
+      while (
+        index < lines.length &&
+        lines[index].trim() &&
+        !FENCE_PATTERN.test(lines[index]) &&
+        !LIST_ITEM_PATTERN.test(lines[index])
+      ) {
+        paragraph.push(lines[index]);
+        index += 1;
+      }
+      const element = createElement('p');
+      element.append(renderLines(paragraph, options));
+      fragment.append(element);
+    }
+  }
+  return fragment;
+}
+
+// `inline` is for option labels and other single-line spots: no blocks and no
+// clickable links.
+export function renderMarkdown(text, { inline = false } = {}) {
+  const options = { inline };
+  const source = typeof text === 'string' ? text : '';
+  return inline ? renderLines(source.split(/\r\n?|\n/), options) : renderBlocks(source, options);
+}
+
+// For compact lists where formatting and pictures would get in the way.
+export function toPlainText(text) {
+  return String(text || '')
+    .replace(/^```.*$/gm, '')
+    .replace(/!\[([^\]\n]*)\]\([^)\s]+\)/g, (source, alt) => `[${alt || t('markdown.image')}]`)
+    .replace(/\[([^\]\n]+)\]\([^)\s]+\)/g, '$1')
+    .replace(/(\*\*|\*|`)(\S(?:.*?\S)?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -1,72 +1,262 @@
+import { PROTOCOL_VERSION, ERROR_CODES, parseServerMessage } from './protocol.mjs';
+import { renderResults } from './results.js';
+import { createConnectionMonitor } from './connection.js';
+import { renderMarkdown } from './markdown.js';
+import { loadTranslations, t, getLocale, setupLocalePicker } from './i18n.js';
+
+await loadTranslations();
+
 const joinForm = document.getElementById('join-form');
 const joinCodeInput = document.getElementById('join-code');
 const displayNameInput = document.getElementById('display-name');
 const statusEl = document.getElementById('player-status');
+const connectionQualityEl = document.getElementById('connection-quality');
 const questionContainer = document.getElementById('question-container');
 const questionEl = document.getElementById('current-question');
+const questionProgressEl = document.getElementById('question-progress');
 const answersEl = document.getElementById('answer-options');
 const resultsEl = document.getElementById('results');
+const countdownEl = document.getElementById('countdown');
+const standingEl = document.getElementById('standing');
+const anonymousNote = document.getElementById('anonymous-note');
+const teamPicker = document.getElementById('team-picker');
+const teamOptionsEl = document.getElementById('team-options');
+const teamNote = document.getElementById('team-note');
+const localeSelect = document.getElementById('locale-select');
 
 let joined = false;
 let hasVoted = false;
-let currentOptions = [];
-let selectedChoice = null;
+let currentQuestion = null;
+let selectedResponse = null;
+let pendingChoices = [];
+let ws = null;
+let reconnectAttempts = 0;
+let countdownTimer = null;
+let team = null;
+let paceMode = 'live';
+let opensAt = null;
+let closesAt = null;
+let questionIndex = null;
 
+const SESSION_KEY = 'kaboot:player-session';
+const BANS_KEY = 'kaboot:player-bans';
+const MAX_RECONNECT_DELAY_MS = 30000;
+const POLICY_VIOLATION_CLOSE_CODE = 1008;
+const MAX_TEXT_LENGTH = 140;
 const wsProtocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
-const ws = new WebSocket(`${wsProtocol}://${window.location.host}/ws`);
-
-ws.addEventListener('open', () => {
-  ws.send(JSON.stringify({ type: 'identify', role: 'player' }));
+// Set when the page was opened from a join link or QR code.
+const linkedCode = new URLSearchParams(window.location.search).get('code');
+const connection = createConnectionMonitor({
+  element: connectionQualityEl,
+  send: sendMessage,
+  onDead: dropConnection,
 });
 
-ws.addEventListener('message', (event) => {
-  const message = JSON.parse(event.data);
+function connect() {
+  ws = new WebSocket(`${wsProtocol}://${window.location.host}/ws`);
+  ws.addEventListener('open', handleOpen);
+  ws.addEventListener('message', handleMessage);
+  ws.addEventListener('close', handleClose);
+}
+
+function sendMessage(payload) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+}
+
+function loadSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY) || localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Self-paced games can take days, so their session outlives the tab.
+function saveSession(code, rejoinToken, selfPaced) {
+  clearSession();
+  (selfPaced ? localStorage : sessionStorage).setItem(SESSION_KEY, JSON.stringify({ code, rejoinToken }));
+}
+
+function clearSession() {
+  sessionStorage.removeItem(SESSION_KEY);
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// Game codes this browser was banned from, with the rejoin token it held then.
+// The server checks that token again when the browser tries to join as someone new.
+function loadBans() {
+  try {
+    return JSON.parse(localStorage.getItem(BANS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function rememberBan() {
+  const session = loadSession();
+  if (session && session.code && session.rejoinToken) {
+    localStorage.setItem(BANS_KEY, JSON.stringify({ ...loadBans(), [session.code]: session.rejoinToken }));
+  }
+}
+
+function handleOpen() {
+  reconnectAttempts = 0;
+  sendMessage({ type: 'identify', role: 'player', protocolVersion: PROTOCOL_VERSION, locale: getLocale() });
+  const session = loadSession();
+  // A link to another game means the player has moved on from the saved one.
+  if (session && session.code && session.rejoinToken && (!linkedCode || linkedCode === session.code)) {
+    statusEl.textContent = t('player.rejoining');
+    sendMessage({ type: 'player:rejoin', code: session.code, rejoinToken: session.rejoinToken });
+  }
+}
+
+// The monitor gave up on a socket that the browser still reports as open.
+function dropConnection() {
+  ws.removeEventListener('message', handleMessage);
+  ws.removeEventListener('close', handleClose);
+  ws.close();
+  handleClose({ code: 1006 });
+}
+
+function handleClose(event) {
+  connection.stop();
+  const throttled = event.code === POLICY_VIOLATION_CLOSE_CODE;
+  const delay = throttled
+    ? MAX_RECONNECT_DELAY_MS
+    : Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+  reconnectAttempts += 1;
+  statusEl.textContent = t(throttled ? 'common.reconnectingThrottled' : 'common.reconnecting', {
+    seconds: Math.round(delay / 1000),
+  });
+  setTimeout(connect, delay);
+}
+
+function handleMessage(event) {
+  const message = parseServerMessage(event.data);
+  if (!message) {
+    return;
+  }
   switch (message.type) {
     case 'identified':
+      connection.start();
+      break;
+    case 'pong':
+      connection.handlePong(message);
       break;
     case 'player:joined':
       joined = true;
-      statusEl.textContent = 'You joined the lobby. Waiting for the host to start the poll.';
+      setSchedule(message);
+      saveSession(message.code, message.rejoinToken, paceMode === 'self');
+      displayNameInput.value = message.name;
+      statusEl.textContent =
+        paceMode === 'self' ? describeAssignment() : t('player.joined', { name: message.name });
       joinForm.classList.add('hidden');
-      if (message.question && Array.isArray(message.options)) {
-        showQuestion(message.question, message.options);
+      teamPicker.classList.add('hidden');
+      anonymousNote.classList.toggle('hidden', message.responseMode !== 'anonymous');
+      showTeam(message.team);
+      break;
+    case 'player:team_required':
+      showTeamPicker(message);
+      break;
+    case 'player:rejoined':
+      restorePlayer(message);
+      break;
+    case 'player:rejoin_failed':
+      leaveGame(message.message || t('player.joinToStart'));
+      break;
+    case 'player:removed':
+      if (message.banned) {
+        rememberBan();
       }
+      leaveGame(message.message);
+      break;
+    case 'player:renamed':
+      displayNameInput.value = message.name;
+      statusEl.textContent = message.message;
       break;
     case 'poll:start':
-      showQuestion(message.question, message.options || []);
-      statusEl.textContent = 'Pick your answer! You can only vote once.';
+      ({ questionIndex } = message);
+      showQuestion(message);
+      showProgress(message);
+      startCountdown(message.remainingMs);
+      statusEl.textContent = getPrompt(message);
       break;
     case 'player:voted':
-      hasVoted = true;
-      selectedChoice = message.choiceIndex;
-      highlightSelection();
-      disableAnswerButtons();
-      statusEl.textContent = 'Thanks for voting! Waiting for results…';
+      applySavedVote(message.response);
+      statusEl.textContent = t(currentQuestion.allowChanges ? 'player.answerSaved' : 'player.thanks');
       break;
     case 'poll:results':
-      showResults(message.question, message.options, message.results);
+      showResults(message.question, message.options, message.results, message.correct);
+      showProgress(message);
+      showStanding(message.you);
+      showTeam(team, message.teamStandings);
       hasVoted = false;
-      selectedChoice = null;
+      selectedResponse = null;
       break;
     case 'poll:reset':
       resetPoll(message.message);
       break;
+    case 'player:assignment_complete':
+      showAssignmentComplete(message);
+      break;
+    case 'game:host_status':
+      if (message.message) {
+        statusEl.textContent = message.message;
+      }
+      break;
     case 'error':
-      statusEl.textContent = message.message || 'Something went wrong. Please try again.';
+      handleError(message);
       break;
     case 'game:ended':
-      statusEl.textContent = message.message || 'The host has ended the session.';
-      questionContainer.classList.add('hidden');
-      resultsEl.innerHTML = '';
+      leaveGame(message.message || t('player.sessionEnded'));
       break;
     default:
       break;
   }
-});
+}
 
-ws.addEventListener('close', () => {
-  statusEl.textContent = 'Connection lost. Refresh the page to reconnect.';
-});
+function handleError({ code, message }) {
+  statusEl.textContent = message;
+  switch (code) {
+    case ERROR_CODES.GAME_NOT_FOUND:
+    case ERROR_CODES.GAME_LOCKED:
+    case ERROR_CODES.GAME_FULL:
+      joinCodeInput.focus();
+      joinCodeInput.select();
+      break;
+    case ERROR_CODES.INVALID_NAME:
+      displayNameInput.focus();
+      displayNameInput.select();
+      break;
+    case ERROR_CODES.NO_GAME:
+    case ERROR_CODES.UPGRADE_REQUIRED:
+      leaveGame(message);
+      break;
+    case ERROR_CODES.ALREADY_VOTED:
+      hasVoted = true;
+      disableAnswerButtons();
+      break;
+    default:
+      break;
+  }
+}
+
+function leaveGame(statusText) {
+  clearSession();
+  joined = false;
+  hasVoted = false;
+  joinForm.classList.remove('hidden');
+  teamPicker.classList.add('hidden');
+  anonymousNote.classList.add('hidden');
+  showTeam(null);
+  statusEl.textContent = statusText;
+  stopCountdown();
+  questionContainer.classList.add('hidden');
+  resultsEl.innerHTML = '';
+  standingEl.classList.add('hidden');
+}
 
 joinForm.addEventListener('submit', (event) => {
   event.preventDefault();
@@ -75,107 +265,384 @@ joinForm.addEventListener('submit', (event) => {
   }
   const code = joinCodeInput.value.trim();
   const name = displayNameInput.value.trim();
-  if (!code || !name) {
-    statusEl.textContent = 'Enter a game code and display name to join.';
+  if (!code) {
+    statusEl.textContent = t('player.enterCode');
     return;
   }
-  ws.send(
-    JSON.stringify({
-      type: 'player:join',
-      code,
-      name,
-    })
-  );
+  sendMessage({
+    type: 'player:join',
+    code,
+    name,
+    rejoinToken: loadBans()[code],
+  });
 });
 
-function showQuestion(question, options) {
-  if (!question || !Array.isArray(options)) {
+// Sent instead of `player:joined` when the host lets players pick a team.
+function showTeamPicker({ code, teams, message }) {
+  const name = displayNameInput.value.trim();
+  statusEl.textContent = message;
+  teamOptionsEl.innerHTML = '';
+  teams.forEach((option) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'answer-button';
+    button.textContent = option.name;
+    button.addEventListener('click', () => {
+      sendMessage({ type: 'player:join', code, name, teamId: option.id, rejoinToken: loadBans()[code] });
+    });
+    teamOptionsEl.append(button);
+  });
+  teamPicker.classList.remove('hidden');
+}
+
+function showTeam(playerTeam, standings = null) {
+  team = playerTeam || null;
+  teamNote.classList.toggle('hidden', !team);
+  if (!team) {
+    return;
+  }
+  const standing = standings && standings.find((entry) => entry.id === team.id);
+  teamNote.textContent = standing
+    ? t('player.teamStanding', {
+        name: team.name,
+        rank: standing.rank,
+        total: standings.length,
+        average: standing.average,
+      })
+    : t('player.team', { name: team.name });
+}
+
+function showQuestion(question) {
+  if (!question || !question.question) {
     return;
   }
-  questionEl.textContent = question;
-  currentOptions = options;
+  questionEl.replaceChildren(renderMarkdown(question.question));
+  currentQuestion = {
+    type: question.questionType || 'single',
+    options: question.options || [],
+    maxChoices: question.maxChoices,
+    scale: question.scale,
+    allowChanges: Boolean(question.allowChanges),
+  };
   hasVoted = false;
-  selectedChoice = null;
-  renderAnswerButtons();
+  selectedResponse = null;
+  pendingChoices = [];
+  renderAnswerInput();
   questionContainer.classList.remove('hidden');
   resultsEl.innerHTML = '';
+  standingEl.classList.add('hidden');
 }
 
-function renderAnswerButtons() {
+function getPrompt({ questionType, maxChoices, scale, allowChanges }) {
+  const writtenAnswer = questionType === 'text' || questionType === 'wordcloud';
+  let rule = t(writtenAnswer ? 'player.rules.answerOnce' : 'player.rules.voteOnce');
+  if (allowChanges) {
+    rule = t('player.rules.changeable');
+  }
+  switch (questionType) {
+    case 'multi':
+      return t('player.prompts.multi', { count: maxChoices, rule });
+    case 'rating':
+      return t('player.prompts.rating', { scale, rule });
+    case 'text':
+      return t('player.prompts.text', { rule });
+    case 'wordcloud':
+      return t('player.prompts.wordcloud', { rule });
+    default:
+      return t('player.prompts.single', { rule });
+  }
+}
+
+function answerIsFinal() {
+  return hasVoted && !(currentQuestion && currentQuestion.allowChanges);
+}
+
+function submitVote(payload) {
+  if (answerIsFinal()) {
+    return;
+  }
+  // Self-paced votes name their question so a late one is not taken for the next.
+  sendMessage({ type: 'player:vote', ...payload, ...(paceMode === 'self' ? { questionIndex } : {}) });
+}
+
+function applySavedVote(response) {
+  hasVoted = true;
+  selectedResponse = response;
+  if (Array.isArray(response)) {
+    pendingChoices = [...response];
+  }
+  highlightSelection();
+  if (answerIsFinal()) {
+    disableAnswerButtons();
+  }
+}
+
+function createAnswerButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'answer-button';
+  button.append(label);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function renderAnswerInput() {
   answersEl.innerHTML = '';
-  currentOptions.forEach((option, index) => {
-    const button = document.createElement('button');
-    button.type = 'button';
-    button.className = 'answer-button';
-    button.textContent = option;
-    button.addEventListener('click', () => {
-      if (hasVoted) {
+  const { type, options, maxChoices, scale } = currentQuestion;
+  if (type === 'rating') {
+    const row = document.createElement('div');
+    row.className = 'rating-buttons';
+    for (let rating = 1; rating <= scale; rating += 1) {
+      row.append(createAnswerButton(String(rating), () => submitVote({ rating })));
+    }
+    answersEl.append(row);
+    return;
+  }
+  if (type === 'text' || type === 'wordcloud') {
+    const form = document.createElement('form');
+    form.className = 'stack';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = MAX_TEXT_LENGTH;
+    input.placeholder = t(type === 'wordcloud' ? 'player.wordPlaceholder' : 'player.answerPlaceholder');
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'button';
+    submit.textContent = t('player.submit');
+    form.append(input, submit);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const text = input.value.trim();
+      if (text) {
+        submitVote({ text });
+      }
+    });
+    answersEl.append(form);
+    return;
+  }
+  if (type === 'multi') {
+    options.forEach((option, index) => {
+      const button = createAnswerButton(renderMarkdown(option, { inline: true }), () => {
+        if (answerIsFinal()) {
+          return;
+        }
+        if (pendingChoices.includes(index)) {
+          pendingChoices = pendingChoices.filter((choice) => choice !== index);
+        } else if (pendingChoices.length < maxChoices) {
+          pendingChoices = [...pendingChoices, index];
+        } else {
+          statusEl.textContent = t('player.pickLimit', { count: maxChoices });
+          return;
+        }
+        button.classList.toggle('selected', pendingChoices.includes(index));
+      });
+      answersEl.append(button);
+    });
+    const submit = createAnswerButton(t('player.submitAnswers'), () => {
+      if (!pendingChoices.length) {
+        statusEl.textContent = t('player.pickOne');
         return;
       }
-      ws.send(
-        JSON.stringify({
-          type: 'player:vote',
-          choiceIndex: index,
-        })
-      );
+      submitVote({ choiceIndices: pendingChoices });
     });
-    answersEl.append(button);
+    submit.className = 'button';
+    answersEl.append(submit);
+    return;
+  }
+  options.forEach((option, index) => {
+    const label = renderMarkdown(option, { inline: true });
+    answersEl.append(createAnswerButton(label, () => submitVote({ choiceIndex: index })));
   });
 }
 
 function highlightSelection() {
-  const buttons = answersEl.querySelectorAll('button');
+  if (!currentQuestion) {
+    return;
+  }
+  const { type } = currentQuestion;
+  if (type === 'text' || type === 'wordcloud') {
+    const input = answersEl.querySelector('input');
+    if (input && typeof selectedResponse === 'string') {
+      input.value = selectedResponse;
+    }
+    return;
+  }
+  const buttons = answersEl.querySelectorAll('.answer-button');
   buttons.forEach((button, index) => {
-    if (index === selectedChoice) {
-      button.classList.add('selected');
+    let selected = false;
+    if (type === 'multi') {
+      selected = Array.isArray(selectedResponse) && selectedResponse.includes(index);
+    } else if (type === 'rating') {
+      selected = selectedResponse === index + 1;
     } else {
-      button.classList.remove('selected');
+      selected = selectedResponse === index;
     }
+    button.classList.toggle('selected', selected);
   });
 }
 
 function disableAnswerButtons() {
-  const buttons = answersEl.querySelectorAll('button');
-  buttons.forEach((button) => {
-    button.disabled = true;
+  const controls = answersEl.querySelectorAll('button, input');
+  controls.forEach((control) => {
+    control.disabled = true;
   });
 }
 
-function showResults(question, options = [], results = []) {
-  questionEl.textContent = question || questionEl.textContent;
+function showResults(question, options = [], results = null, correct = []) {
+  stopCountdown();
+  if (question) {
+    questionEl.replaceChildren(renderMarkdown(question));
+  }
   questionContainer.classList.remove('hidden');
-  const counts = Array.isArray(results) ? results : [];
-  const total = counts.reduce((sum, value) => sum + value, 0);
-  resultsEl.innerHTML = counts
-    .map((count, index) => {
-      const label = options[index] || `Option ${index + 1}`;
-      const percent = total === 0 ? 0 : Math.round((count / total) * 100);
-      return `
-        <div class="result-row">
-          <div class="result-header">
-            <strong>${label}</strong>
-            <span class="count">${count} vote${count === 1 ? '' : 's'} (${percent}%)</span>
-          </div>
-          <div class="progress">
-            <div class="progress-bar" style="width: ${percent}%;"></div>
-          </div>
-        </div>
-      `;
-    })
-    .join('');
+  resultsEl.replaceChildren(renderResults(results, { options, correct }));
   answersEl.innerHTML = '';
-  statusEl.textContent = 'Results are in! Stay tuned for the next poll.';
+  statusEl.textContent = t('player.resultsIn');
+}
+
+function showStanding(standing) {
+  if (!standing || !standing.rank || (standing.correct === null && !standing.score)) {
+    standingEl.classList.add('hidden');
+    return;
+  }
+  standingEl.innerHTML = '';
+  const headline = document.createElement('strong');
+  if (standing.correct === true) {
+    headline.textContent = t('player.correct', { points: standing.points });
+  } else if (standing.correct === false) {
+    headline.textContent = t('player.incorrect');
+  } else {
+    headline.textContent = t('player.score', { score: standing.score });
+  }
+  const details = document.createElement('span');
+  details.textContent = t(standing.streak > 1 ? 'player.rankWithStreak' : 'player.rank', standing);
+  standingEl.append(headline, details);
+  standingEl.classList.remove('hidden');
+}
+
+function startCountdown(remainingMs) {
+  stopCountdown();
+  if (typeof remainingMs !== 'number') {
+    return;
+  }
+  const endsAt = Date.now() + remainingMs;
+  const tick = () => {
+    const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+    countdownEl.textContent = t('common.secondsLeft', { seconds });
+    countdownEl.classList.toggle('urgent', seconds <= 5);
+    if (seconds === 0) {
+      clearInterval(countdownTimer);
+      disableAnswerButtons();
+      if (!hasVoted) {
+        statusEl.textContent = t(paceMode === 'self' ? 'player.timesUpNext' : 'player.timesUp');
+      }
+    }
+  };
+  countdownEl.classList.remove('hidden');
+  tick();
+  countdownTimer = setInterval(tick, 250);
+}
+
+function stopCountdown() {
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+  countdownEl.classList.add('hidden');
+}
+
+function showProgress({ questionIndex, totalQuestions }) {
+  questionProgressEl.textContent =
+    typeof questionIndex === 'number' && totalQuestions > 1
+      ? t('common.questionProgress', { number: questionIndex + 1, total: totalQuestions })
+      : '';
+}
+
+function setSchedule(game) {
+  paceMode = game.paceMode || 'live';
+  opensAt = game.opensAt;
+  closesAt = game.closesAt;
+}
+
+function formatDateTime(time) {
+  return new Date(time).toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function describeAssignment() {
+  return Date.now() < opensAt
+    ? t('player.assignmentOpens', { opens: formatDateTime(opensAt), closes: formatDateTime(closesAt) })
+    : t('player.assignmentOpen', { closes: formatDateTime(closesAt) });
+}
+
+function showAssignmentComplete({ score, correctAnswers, gradedQuestions }) {
+  resetPoll(t('player.assignmentComplete', { closes: formatDateTime(closesAt) }));
+  questionProgressEl.textContent = '';
+  if (score === null) {
+    return;
+  }
+  standingEl.innerHTML = '';
+  const headline = document.createElement('strong');
+  headline.textContent = t('player.score', { score });
+  standingEl.append(headline);
+  if (gradedQuestions > 0) {
+    const details = document.createElement('span');
+    details.textContent = t('player.correctAnswers', { count: correctAnswers, total: gradedQuestions });
+    standingEl.append(details);
+  }
+  standingEl.classList.remove('hidden');
+}
+
+function restorePlayer(state) {
+  joined = true;
+  joinForm.classList.add('hidden');
+  anonymousNote.classList.toggle('hidden', state.responseMode !== 'anonymous');
+  setSchedule(state);
+  showTeam(state.team, state.teamStandings);
+  showProgress(state);
+  // The player's current question, or their summary, follows straight after.
+  if (paceMode === 'self') {
+    resetPoll(describeAssignment());
+    return;
+  }
+  if (state.state === 'ended' && Array.isArray(state.results)) {
+    showResults(state.question, state.options, state.results, state.correct);
+    showStanding(state.you);
+    return;
+  }
+  if (state.state === 'active' && state.question) {
+    showQuestion(state);
+    startCountdown(state.remainingMs);
+    if (state.hasVoted) {
+      applySavedVote(state.response);
+      statusEl.textContent = t(
+        state.allowChanges ? 'player.welcomeBackVotedChangeable' : 'player.welcomeBackVoted',
+        { name: state.name }
+      );
+    } else {
+      statusEl.textContent = t('player.welcomeBackPrompt', { name: state.name, prompt: getPrompt(state) });
+    }
+    return;
+  }
+  resetPoll(t('player.welcomeBackWaiting', { name: state.name }));
 }
 
 function resetPoll(message) {
+  stopCountdown();
   hasVoted = false;
-  selectedChoice = null;
+  selectedResponse = null;
   answersEl.innerHTML = '';
   if (message) {
     statusEl.textContent = message;
   } else {
-    statusEl.textContent = 'Waiting for the next question…';
+    statusEl.textContent = t('player.waitingForNext');
   }
   questionContainer.classList.add('hidden');
   resultsEl.innerHTML = '';
+  standingEl.classList.add('hidden');
 }
+
+setupLocalePicker(localeSelect);
+
+if (linkedCode) {
+  joinCodeInput.value = linkedCode;
+  displayNameInput.focus();
+}
+
+connect();
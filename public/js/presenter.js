@@ -0,0 +1,331 @@
+import { PROTOCOL_VERSION, ERROR_CODES, parseServerMessage } from './protocol.mjs';
+import { renderResults } from './results.js';
+import { renderMarkdown } from './markdown.js';
+import { loadTranslations, t, getLocale, setupLocalePicker } from './i18n.js';
+
+await loadTranslations();
+
+const watchForm = document.getElementById('watch-form');
+const watchCodeInput = document.getElementById('watch-code');
+const fullscreenButton = document.getElementById('fullscreen-button');
+const lobbyView = document.getElementById('lobby-view');
+const joinInstructionsEl = document.getElementById('join-instructions');
+const codeEl = document.getElementById('presenter-code');
+const qrImage = document.getElementById('presenter-qr');
+const playerCountEl = document.getElementById('player-count');
+const playersEl = document.getElementById('presenter-players');
+const teamsEl = document.getElementById('presenter-teams');
+const questionView = document.getElementById('question-view');
+const progressEl = document.getElementById('presenter-progress');
+const questionEl = document.getElementById('presenter-question');
+const countdownEl = document.getElementById('presenter-countdown');
+const optionsEl = document.getElementById('presenter-options');
+const answeredEl = document.getElementById('presenter-answered');
+const resultsEl = document.getElementById('presenter-results');
+const leaderboardContainer = document.getElementById('presenter-leaderboard-container');
+const leaderboardEl = document.getElementById('presenter-leaderboard');
+const teamStandingsContainer = document.getElementById('presenter-team-standings-container');
+const teamStandingsEl = document.getElementById('presenter-team-standings');
+const statusEl = document.getElementById('presenter-status');
+const localeSelect = document.getElementById('locale-select');
+
+let ws = null;
+let reconnectAttempts = 0;
+let countdownTimer = null;
+let gameCode = new URLSearchParams(window.location.search).get('code');
+let shownView = null;
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+const POLICY_VIOLATION_CLOSE_CODE = 1008;
+const wsProtocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+
+function connect() {
+  ws = new WebSocket(`${wsProtocol}://${window.location.host}/ws`);
+  ws.addEventListener('open', handleOpen);
+  ws.addEventListener('message', handleMessage);
+  ws.addEventListener('close', handleClose);
+}
+
+function sendMessage(payload) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+}
+
+function handleOpen() {
+  reconnectAttempts = 0;
+  sendMessage({ type: 'identify', role: 'presenter', protocolVersion: PROTOCOL_VERSION, locale: getLocale() });
+  if (gameCode) {
+    statusEl.textContent = t('presenter.connecting');
+    sendMessage({ type: 'presenter:watch', code: gameCode });
+  } else {
+    showWatchForm(t('presenter.enterCode'));
+  }
+}
+
+function handleClose(event) {
+  const throttled = event.code === POLICY_VIOLATION_CLOSE_CODE;
+  const delay = throttled
+    ? MAX_RECONNECT_DELAY_MS
+    : Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+  reconnectAttempts += 1;
+  statusEl.textContent = t(throttled ? 'common.reconnectingThrottled' : 'common.reconnecting', {
+    seconds: Math.round(delay / 1000),
+  });
+  setTimeout(connect, delay);
+}
+
+function handleMessage(event) {
+  const message = parseServerMessage(event.data);
+  if (!message) {
+    return;
+  }
+  switch (message.type) {
+    case 'identified':
+      break;
+    case 'presenter:state':
+      watchForm.classList.add('hidden');
+      render(message);
+      break;
+    case 'presenter:watch_failed':
+      gameCode = null;
+      showWatchForm(message.message);
+      break;
+    case 'game:ended':
+      gameCode = null;
+      stopCountdown();
+      showWatchForm(message.message);
+      break;
+    case 'error':
+      if (message.code === ERROR_CODES.UPGRADE_REQUIRED) {
+        gameCode = null;
+        stopCountdown();
+        showWatchForm(message.message);
+      } else {
+        statusEl.textContent = message.message;
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function showWatchForm(text) {
+  shownView = null;
+  lobbyView.classList.add('hidden');
+  questionView.classList.add('hidden');
+  watchForm.classList.remove('hidden');
+  statusEl.classList.remove('hidden');
+  statusEl.textContent = text;
+}
+
+function render(game) {
+  const inLobby = game.state === 'lobby';
+  lobbyView.classList.toggle('hidden', !inLobby);
+  questionView.classList.toggle('hidden', inLobby);
+  // Self-paced games do not need their host to be around.
+  const hostAway = !game.hostConnected && game.paceMode !== 'self';
+  statusEl.textContent = hostAway ? t('presenter.waitingForHost') : '';
+  statusEl.classList.toggle('hidden', !hostAway);
+  // Snapshots arrive on every vote; only rebuild what changed so bars animate
+  // once per reveal and the countdown does not jitter.
+  const view = `${game.state}:${game.questionIndex}`;
+  const viewChanged = view !== shownView;
+  shownView = view;
+  if (inLobby) {
+    renderLobby(game);
+  } else {
+    renderQuestion(game, viewChanged);
+  }
+}
+
+// The address is bold, so it is placed into the translated sentence by hand.
+function renderJoinInstructions() {
+  const url = document.createElement('strong');
+  url.textContent = `${window.location.host}/player.html`;
+  const [before, after = ''] = t('presenter.joinAt').split('{url}');
+  joinInstructionsEl.replaceChildren(before, url, after);
+}
+
+function renderLobby(game) {
+  codeEl.textContent = game.code;
+  const qrUrl = `/join/${encodeURIComponent(game.code)}/qr.svg`;
+  if (qrImage.getAttribute('src') !== qrUrl) {
+    qrImage.src = qrUrl;
+  }
+  const details = [t('presenter.playersJoined', { count: game.playerCount })];
+  if (game.locked) {
+    details.push(t('presenter.locked'));
+  }
+  if (game.responseMode === 'anonymous') {
+    details.push(t('presenter.anonymous'));
+  }
+  if (game.paceMode === 'self') {
+    details.push(t('presenter.finished', { count: game.answered }));
+  }
+  playerCountEl.textContent = details.join(' · ');
+  const grouped = game.teams.length > 0;
+  playersEl.classList.toggle('hidden', grouped);
+  teamsEl.classList.toggle('hidden', !grouped);
+  if (grouped) {
+    teamsEl.innerHTML = '';
+    game.teams.forEach((team) => {
+      const section = document.createElement('div');
+      section.className = 'presenter-team';
+      const heading = document.createElement('h2');
+      heading.textContent = `${team.name} · ${team.players.length}`;
+      const list = document.createElement('ul');
+      list.className = 'presenter-players';
+      renderNames(list, team.players);
+      section.append(heading, list);
+      teamsEl.append(section);
+    });
+  } else {
+    renderNames(playersEl, game.players);
+  }
+}
+
+function renderNames(list, names) {
+  list.innerHTML = '';
+  names.forEach((name) => {
+    const li = document.createElement('li');
+    li.textContent = name;
+    list.append(li);
+  });
+}
+
+function renderQuestion(game, viewChanged) {
+  const active = game.state === 'active';
+  progressEl.textContent = t('presenter.progress', {
+    number: game.questionIndex + 1,
+    total: game.totalQuestions,
+    code: game.code,
+  });
+  answeredEl.textContent = t('presenter.answered', { answered: game.answered, total: game.playerCount });
+  answeredEl.classList.toggle('hidden', !active);
+  optionsEl.classList.toggle('hidden', !active || !game.options.length);
+  if (!viewChanged) {
+    return;
+  }
+  questionEl.replaceChildren(renderMarkdown(game.question));
+  optionsEl.innerHTML = '';
+  game.options.forEach((option) => {
+    const li = document.createElement('li');
+    li.append(renderMarkdown(option, { inline: true }));
+    optionsEl.append(li);
+  });
+  if (active) {
+    startCountdown(game.remainingMs);
+  } else {
+    stopCountdown();
+  }
+  resultsEl.innerHTML = '';
+  if (game.results) {
+    resultsEl.append(renderResults(game.results, { options: game.options, correct: game.correct }));
+    animateBars(resultsEl);
+  }
+  renderLeaderboard(game.leaderboard || []);
+  renderTeamStandings(game.teamStandings);
+}
+
+// Bars are rendered at their final width; start them empty and let the CSS
+// transition grow them so the reveal is visible from the back of the room.
+function animateBars(container) {
+  const bars = Array.from(container.querySelectorAll('.progress-bar'));
+  const widths = bars.map((bar) => bar.style.width);
+  bars.forEach((bar) => {
+    bar.style.width = '0%';
+  });
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => {
+      bars.forEach((bar, index) => {
+        bar.style.width = widths[index];
+      });
+    });
+  });
+}
+
+function renderLeaderboard(entries) {
+  leaderboardEl.innerHTML = '';
+  const scored = entries.filter((entry) => entry.score > 0);
+  leaderboardContainer.classList.toggle('hidden', scored.length === 0);
+  scored.forEach((entry) => {
+    const li = document.createElement('li');
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = `${entry.rank}. ${entry.name}`;
+    const scoreSpan = document.createElement('span');
+    scoreSpan.className = 'count';
+    scoreSpan.textContent = t('common.points', { score: entry.score });
+    li.append(nameSpan, scoreSpan);
+    leaderboardEl.append(li);
+  });
+}
+
+function renderTeamStandings(standings) {
+  teamStandingsEl.innerHTML = '';
+  teamStandingsContainer.classList.toggle('hidden', !standings);
+  (standings || []).forEach((team) => {
+    const li = document.createElement('li');
+    const nameSpan = document.createElement('span');
+    nameSpan.textContent = `${team.rank}. ${team.name}`;
+    const scoreSpan = document.createElement('span');
+    scoreSpan.className = 'count';
+    scoreSpan.textContent = t('common.teamAverage', { average: team.average });
+    li.append(nameSpan, scoreSpan);
+    teamStandingsEl.append(li);
+  });
+}
+
+function startCountdown(remainingMs) {
+  stopCountdown();
+  if (typeof remainingMs !== 'number') {
+    return;
+  }
+  const endsAt = Date.now() + remainingMs;
+  const tick = () => {
+    const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+    countdownEl.textContent = `${seconds}`;
+    countdownEl.classList.toggle('urgent', seconds <= 5);
+    if (seconds === 0) {
+      clearInterval(countdownTimer);
+    }
+  };
+  countdownEl.classList.remove('hidden');
+  tick();
+  countdownTimer = setInterval(tick, 250);
+}
+
+function stopCountdown() {
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+  countdownEl.classList.add('hidden');
+}
+
+watchForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  gameCode = watchCodeInput.value.trim();
+  if (!gameCode) {
+    return;
+  }
+  window.history.replaceState(null, '', `?code=${encodeURIComponent(gameCode)}`);
+  statusEl.textContent = t('presenter.connecting');
+  sendMessage({ type: 'presenter:watch', code: gameCode });
+});
+
+fullscreenButton.addEventListener('click', () => {
+  if (document.fullscreenElement) {
+    document.exitFullscreen();
+  } else {
+    document.documentElement.requestFullscreen().catch(() => {
+      statusEl.textContent = t('presenter.fullscreenBlocked');
+    });
+  }
+});
+
+document.addEventListener('fullscreenchange', () => {
+  fullscreenButton.textContent = t(document.fullscreenElement ? 'presenter.exitFullscreen' : 'presenter.fullscreen');
+});
+
+setupLocalePicker(localeSelect);
+renderJoinInstructions();
+connect();
@@ -0,0 +1,405 @@
+// The WebSocket protocol shared by the server and the browser clients. Each
+// message is a JSON object with a `type`; the schemas below list the other
+// fields it must carry. Extra fields are allowed so either side can add
+// optional data without breaking the other.
+//
+// Version 1 was the original unversioned protocol. Clients announce the
+// version they speak in `identify` and the server answers with the version it
+// will use, or an UPGRADE_REQUIRED error if the client is too old. Version 3
+// added teams, including `player:team_required`; version 2 players in a game
+// where players pick their team are given one instead. Version 4 added
+// self-paced games, which older clients cannot join.
+export const PROTOCOL_VERSION = 4;
+export const MIN_PROTOCOL_VERSION = 2;
+
+export const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  UPGRADE_REQUIRED: 'UPGRADE_REQUIRED',
+  NOT_IDENTIFIED: 'NOT_IDENTIFIED',
+  ALREADY_IDENTIFIED: 'ALREADY_IDENTIFIED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS',
+  NO_GAME: 'NO_GAME',
+  GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+  GAME_LOCKED: 'GAME_LOCKED',
+  GAME_FULL: 'GAME_FULL',
+  ALREADY_JOINED: 'ALREADY_JOINED',
+  BANNED: 'BANNED',
+  INVALID_DECK: 'INVALID_DECK',
+  INVALID_NAME: 'INVALID_NAME',
+  INVALID_TEAMS: 'INVALID_TEAMS',
+  INVALID_SCHEDULE: 'INVALID_SCHEDULE',
+  WRONG_PACE_MODE: 'WRONG_PACE_MODE',
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  POLL_ACTIVE: 'POLL_ACTIVE',
+  POLL_NOT_ACTIVE: 'POLL_NOT_ACTIVE',
+  NO_MORE_QUESTIONS: 'NO_MORE_QUESTIONS',
+  ALREADY_VOTED: 'ALREADY_VOTED',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  SERVER_ERROR: 'SERVER_ERROR',
+};
+
+const ROLES = ['host', 'player', 'presenter'];
+const NAME_MODES = ['free', 'generated'];
+const RESPONSE_MODES = ['named', 'anonymous'];
+const TEAM_MODES = ['off', 'choose', 'auto'];
+const PACE_MODES = ['live', 'self'];
+const GAME_STATES = ['lobby', 'active', 'ended'];
+
+const code = { type: 'string', maxLength: 20 };
+const token = { type: 'string', maxLength: 100 };
+const playerId = { type: 'string', maxLength: 100 };
+const optional = (schema) => ({ ...schema, optional: true });
+const nullable = (schema) => ({ ...schema, nullable: true });
+// Decks are checked in detail by the server; a bare question and options are
+// still accepted as shorthand for a single-question deck.
+const deck = {
+  questions: optional({ type: 'array', items: { type: 'object' } }),
+  question: optional({ type: 'string' }),
+  options: optional({ type: 'array' }),
+};
+const nameMode = { type: 'string', enum: NAME_MODES };
+const responseMode = { type: 'string', enum: RESPONSE_MODES };
+const teamMode = { type: 'string', enum: TEAM_MODES };
+const paceMode = { type: 'string', enum: PACE_MODES };
+// Milliseconds since the epoch.
+const time = { type: 'number' };
+
+// `roles` lists who may send a message. `needsGame` messages are refused until
+// the sender has created, resumed or joined a game on this connection, and
+// messages with a `paceMode` only apply to games with that pace mode.
+export const CLIENT_MESSAGES = {
+  identify: {
+    fields: {
+      role: { type: 'string', enum: ROLES },
+      protocolVersion: optional({ type: 'integer' }),
+      // A BCP 47 language tag; server messages are sent in this language when it is supported.
+      locale: optional({ type: 'string', maxLength: 35 }),
+    },
+  },
+  // Answered with a pong carrying the same `sentAt`, so clients can time the round trip.
+  ping: { fields: { sentAt: { type: 'number' } } },
+  'host:create_game': {
+    roles: ['host'],
+    fields: {
+      ...deck,
+      nameMode: optional(nameMode),
+      responseMode: optional(responseMode),
+      teamMode: optional(teamMode),
+      teams: optional({ type: 'array', maxItems: 10, items: { type: 'string' } }),
+      paceMode: optional(paceMode),
+      opensAt: optional(time),
+      closesAt: optional(time),
+    },
+  },
+  'host:resume': { roles: ['host'], fields: { code, hostToken: token } },
+  'host:update_poll': { roles: ['host'], needsGame: true, paceMode: 'live', fields: deck },
+  'host:next_question': { roles: ['host'], needsGame: true, paceMode: 'live', fields: {} },
+  'host:previous_question': { roles: ['host'], needsGame: true, paceMode: 'live', fields: {} },
+  'host:start_poll': { roles: ['host'], needsGame: true, paceMode: 'live', fields: {} },
+  'host:end_poll': { roles: ['host'], needsGame: true, paceMode: 'live', fields: {} },
+  'host:close_assignment': { roles: ['host'], needsGame: true, paceMode: 'self', fields: {} },
+  'host:kick_player': { roles: ['host'], needsGame: true, fields: { playerId } },
+  'host:ban_player': { roles: ['host'], needsGame: true, fields: { playerId } },
+  'host:rename_player': {
+    roles: ['host'],
+    needsGame: true,
+    fields: { playerId, name: { type: 'string', maxLength: 200 } },
+  },
+  'host:lock_lobby': {
+    roles: ['host'],
+    needsGame: true,
+    fields: { locked: { type: 'boolean' } },
+  },
+  'host:set_name_mode': {
+    roles: ['host'],
+    needsGame: true,
+    fields: { nameMode },
+  },
+  'player:join': {
+    roles: ['player'],
+    fields: {
+      code,
+      name: optional({ type: 'string', maxLength: 200 }),
+      teamId: optional({ type: 'string', maxLength: 100 }),
+      // The token the browser held when it was banned from this game, if it was.
+      rejoinToken: optional(token),
+    },
+  },
+  'player:rejoin': { roles: ['player'], fields: { code, rejoinToken: token } },
+  'player:vote': {
+    roles: ['player'],
+    needsGame: true,
+    fields: {
+      choiceIndex: optional({ type: 'integer' }),
+      choiceIndices: optional({ type: 'array', maxItems: 20, items: { type: 'integer' } }),
+      rating: optional({ type: 'integer' }),
+      text: optional({ type: 'string', maxLength: 1000 }),
+      // Self-paced games refuse answers meant for a question whose time ran out.
+      questionIndex: optional({ type: 'integer' }),
+    },
+  },
+  'presenter:watch': { roles: ['presenter'], fields: { code } },
+};
+
+const question = {
+  questionType: { type: 'string' },
+  question: { type: 'string' },
+  options: { type: 'array' },
+  questionIndex: { type: 'integer' },
+  totalQuestions: { type: 'integer' },
+  allowChanges: { type: 'boolean' },
+  remainingMs: nullable({ type: 'number' }),
+};
+const results = nullable({ type: 'object' });
+const players = { type: 'array', items: { type: 'object' } };
+const leaderboard = nullable({ type: 'array', items: { type: 'object' } });
+// Null unless the game has teams and keeps named responses.
+const teamResults = nullable({ type: 'array', items: { type: 'object' } });
+const teamStandings = nullable({ type: 'array', items: { type: 'object' } });
+const teams = { type: 'array', items: { type: 'object' } };
+// Who answered what and when; null in anonymous games.
+const responses = nullable({ type: 'array', items: { type: 'object' } });
+const message = { type: 'string' };
+// The times are null in live games.
+const schedule = {
+  paceMode,
+  opensAt: nullable(time),
+  closesAt: nullable(time),
+};
+
+export const SERVER_MESSAGES = {
+  identified: { fields: { role: { type: 'string', enum: ROLES }, protocolVersion: { type: 'integer' } } },
+  error: { fields: { code: { type: 'string', enum: Object.values(ERROR_CODES) }, message } },
+  pong: { fields: { sentAt: { type: 'number' } } },
+  'host:game_created': {
+    fields: {
+      code: { type: 'string' },
+      hostToken: token,
+      questions: { type: 'array' },
+      currentIndex: { type: 'integer' },
+      nameMode,
+      responseMode,
+      teamMode,
+      teams,
+      ...schedule,
+    },
+  },
+  'host:resumed': {
+    fields: {
+      code: { type: 'string' },
+      questions: { type: 'array' },
+      currentIndex: { type: 'integer' },
+      state: { type: 'string', enum: GAME_STATES },
+      responseMode,
+      teamMode,
+      teams,
+      players,
+      results,
+      teamResults,
+      responses,
+      leaderboard,
+      teamStandings,
+      ...schedule,
+      // Set when a closed assignment was opened from its archived session.
+      sessionId: nullable({ type: 'string' }),
+      endedAt: nullable(time),
+    },
+  },
+  'host:resume_failed': { fields: { code: { type: 'string' }, message } },
+  'host:session_replaced': { fields: { message } },
+  'host:poll_updated': { fields: { questions: { type: 'array' }, currentIndex: { type: 'integer' }, results } },
+  'host:question_changed': { fields: { ...question, results } },
+  'host:poll_started': {
+    fields: { questionIndex: { type: 'integer' }, timeLimit: nullable({ type: 'integer' }), results },
+  },
+  'host:poll_progress': { fields: { results, teamResults, responses } },
+  'host:poll_results': {
+    fields: {
+      questionIndex: { type: 'integer' },
+      results,
+      teamResults,
+      correct: { type: 'array' },
+      leaderboard,
+      teamStandings,
+      responses,
+    },
+  },
+  // Self-paced games only: every question's results so far, by question index.
+  'host:assignment_progress': {
+    fields: {
+      results: { type: 'array' },
+      teamResults: nullable({ type: 'array' }),
+      leaderboard,
+      teamStandings,
+    },
+  },
+  'host:players_updated': { fields: { players } },
+  'host:lobby_locked': { fields: { locked: { type: 'boolean' } } },
+  'host:name_mode': { fields: { nameMode } },
+  'player:joined': {
+    fields: {
+      code: { type: 'string' },
+      playerId,
+      name: { type: 'string' },
+      team: nullable({ type: 'object' }),
+      rejoinToken: token,
+      responseMode,
+      ...schedule,
+    },
+  },
+  'player:team_required': { fields: { code: { type: 'string' }, teams, message } },
+  'player:rejoined': {
+    fields: {
+      code: { type: 'string' },
+      playerId,
+      name: { type: 'string' },
+      state: { type: 'string', enum: GAME_STATES },
+      responseMode,
+      ...schedule,
+    },
+  },
+  'player:rejoin_failed': { fields: { code: { type: 'string' }, message } },
+  'player:voted': { fields: {} },
+  // Sent in self-paced games once the player is through the deck. The score is
+  // null in anonymous games.
+  'player:assignment_complete': {
+    fields: {
+      score: nullable({ type: 'integer' }),
+      correctAnswers: nullable({ type: 'integer' }),
+      gradedQuestions: { type: 'integer' },
+      closesAt: time,
+    },
+  },
+  'player:removed': { fields: { banned: { type: 'boolean' }, message } },
+  'player:renamed': { fields: { name: { type: 'string' }, message } },
+  'poll:start': { fields: question },
+  'poll:results': {
+    fields: { ...question, results, teamResults, correct: { type: 'array' }, leaderboard, teamStandings },
+  },
+  'poll:reset': { fields: { message } },
+  // The host of a self-paced game also gets the `sessionId` its results are archived under.
+  'game:ended': { fields: { message, sessionId: optional({ type: 'string' }) } },
+  'game:host_status': { fields: { connected: { type: 'boolean' }, message } },
+  'presenter:state': {
+    fields: {
+      ...question,
+      code: { type: 'string' },
+      state: { type: 'string', enum: GAME_STATES },
+      responseMode,
+      paceMode,
+      players: { type: 'array', items: { type: 'string' } },
+      teams,
+      playerCount: { type: 'integer' },
+      answered: { type: 'integer' },
+      results,
+      teamResults,
+      leaderboard,
+      teamStandings,
+    },
+  },
+  'presenter:watch_failed': { fields: { code: { type: 'string' }, message } },
+};
+
+function isType(schema, value) {
+  switch (schema.type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return typeof value === schema.type;
+  }
+}
+
+// Problems are { key, params } descriptors, the same shape as the server's
+// localized() ones, so the server can send them in the reader's language. Keys
+// are under "server.errors" in the locale bundles, and each field is named by
+// its own key under "server.fields".
+function problem(key, params = {}) {
+  return { key: `errors.${key}`, params };
+}
+
+function typeName(type) {
+  return { key: `types.${type}`, params: {} };
+}
+
+function checkValue(schema, value, name) {
+  const label = { key: `fields.${name}`, params: {} };
+  if (value === undefined || value === null) {
+    return (value === null ? schema.nullable : schema.optional || schema.nullable)
+      ? null
+      : problem('missingField', { label });
+  }
+  if (!isType(schema, value)) {
+    return problem('wrongFieldType', { label, type: typeName(schema.type) });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return problem('unknownFieldValue', { label, value });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return problem('fieldTooLong', { label });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    return problem('tooManyEntries', { label });
+  }
+  if (schema.items) {
+    const invalid = value.find((item) => !isType(schema.items, item));
+    if (invalid !== undefined) {
+      return problem('wrongEntryType', { label, type: typeName(schema.items.type) });
+    }
+  }
+  return null;
+}
+
+// Returns { schema } for a well-formed message, or { error: { code, message } }
+// with a descriptor as the message.
+export function validateMessage(schemas, payload) {
+  if (!isType({ type: 'object' }, payload) || typeof payload.type !== 'string') {
+    return { error: { code: ERROR_CODES.INVALID_MESSAGE, message: problem('notAMessage') } };
+  }
+  if (!Object.prototype.hasOwnProperty.call(schemas, payload.type)) {
+    return { error: { code: ERROR_CODES.UNKNOWN_TYPE, message: problem('unknownMessageType') } };
+  }
+  const schema = schemas[payload.type];
+  for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+    const found = checkValue(fieldSchema, payload[name], name);
+    if (found) {
+      return { error: { code: ERROR_CODES.INVALID_MESSAGE, message: found } };
+    }
+  }
+  return { schema };
+}
+
+export function validateClientMessage(payload) {
+  return validateMessage(CLIENT_MESSAGES, payload);
+}
+
+export function validateServerMessage(payload) {
+  return validateMessage(SERVER_MESSAGES, payload);
+}
+
+// Clients drop anything that fails validation rather than render half a message.
+export function parseServerMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    console.warn('Ignoring a server message that is not valid JSON.');
+    return null;
+  }
+  const { error } = validateServerMessage(message);
+  if (error) {
+    console.warn(`Ignoring a malformed server message (${error.code}): ${error.message.key}`, message);
+    return null;
+  }
+  return message;
+}
@@ -0,0 +1,102 @@
+import { renderMarkdown } from './markdown.js';
+import { t } from './i18n.js';
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+function renderBar(label, count, total, { isCorrect = false, unit = 'votes' } = {}) {
+  const percent = total === 0 ? 0 : Math.round((count / total) * 100);
+  const row = createElement('div', isCorrect ? 'result-row correct' : 'result-row');
+  const header = createElement('div', 'result-header');
+  const title = createElement('strong');
+  title.append(label);
+  header.append(title, createElement('span', 'count', t(`results.${unit}`, { count, percent })));
+  const progress = createElement('div', 'progress');
+  const bar = createElement('div', 'progress-bar');
+  bar.style.width = `${percent}%`;
+  progress.append(bar);
+  row.append(header, progress);
+  return row;
+}
+
+function renderChoices(results, options, correct) {
+  const fragment = document.createDocumentFragment();
+  results.counts.forEach((count, index) => {
+    const label = options[index]
+      ? renderMarkdown(options[index], { inline: true })
+      : t('results.option', { number: index + 1 });
+    fragment.append(renderBar(label, count, results.total, { isCorrect: correct.includes(index) }));
+  });
+  return fragment;
+}
+
+function renderRating(results) {
+  const fragment = document.createDocumentFragment();
+  const summary = createElement(
+    'p',
+    'result-summary',
+    results.average === null
+      ? t('results.noRatings')
+      : t('results.average', { average: results.average, scale: results.scale, count: results.total })
+  );
+  fragment.append(summary);
+  results.counts.forEach((count, index) => {
+    fragment.append(renderBar(String(index + 1), count, results.total, { unit: 'ratings' }));
+  });
+  return fragment;
+}
+
+function renderTextAnswers(results) {
+  if (!results.entries.length) {
+    return createElement('p', 'result-summary', t('results.noAnswers'));
+  }
+  const list = createElement('ul', 'text-answers');
+  results.entries.forEach((entry) => {
+    const item = createElement('li', '', entry.text);
+    if (entry.count > 1) {
+      item.append(createElement('span', 'badge', `×${entry.count}`));
+    }
+    list.append(item);
+  });
+  return list;
+}
+
+function renderWordCloud(results) {
+  if (!results.entries.length) {
+    return createElement('p', 'result-summary', t('results.noAnswers'));
+  }
+  const cloud = createElement('div', 'word-cloud');
+  const maxCount = results.entries[0].count;
+  results.entries.forEach((entry) => {
+    const word = createElement('span', 'word-cloud-word', entry.text);
+    const weight = maxCount === 1 ? 0 : (entry.count - 1) / (maxCount - 1);
+    word.style.fontSize = `${(0.9 + weight * 1.5).toFixed(2)}rem`;
+    word.title = t('results.mentions', { count: entry.count });
+    cloud.append(word);
+  });
+  return cloud;
+}
+
+export function renderResults(results, { options = [], correct = [] } = {}) {
+  if (!results) {
+    return document.createDocumentFragment();
+  }
+  switch (results.type) {
+    case 'rating':
+      return renderRating(results);
+    case 'text':
+      return renderTextAnswers(results);
+    case 'wordcloud':
+      return renderWordCloud(results);
+    default:
+      return renderChoices(results, options, correct || []);
+  }
+}
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Manages the host accounts used with HOST_AUTH=accounts.
+//
+//   npm run host-account -- add <username>     asks for a password and adds or updates the account
+//   npm run host-account -- remove <username>
+//   npm run host-account -- list
+//
+// Accounts live in HOST_ACCOUNTS_FILE (data/hosts.json by default). The server
+// reads the file on every sign-in, so changes apply without a restart.
+const readline = require('readline');
+const { Writable } = require('stream');
+const {
+  USERNAME_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  DEFAULT_ACCOUNTS_FILE,
+  hashPassword,
+  readAccounts,
+  writeAccounts,
+} = require('../lib/auth');
+
+const accountsFile = process.env.HOST_ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE;
+
+function askPassword() {
+  // readline echoes what is typed to its output, so it gets one that discards
+  // everything and the password stays off the screen.
+  const muted = new Writable({
+    write(chunk, encoding, callback) {
+      callback();
+    },
+  });
+  const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: Boolean(process.stdin.isTTY) });
+  process.stdout.write('Password: ');
+  return new Promise((resolve) => {
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main([command, username]) {
+  const accounts = readAccounts(accountsFile);
+  switch (command) {
+    case 'add': {
+      if (!USERNAME_PATTERN.test(username || '')) {
+        throw new Error('Usernames are 1 to 40 letters, digits, dots, dashes or underscores.');
+      }
+      const password = await askPassword();
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+      }
+      const existing = accounts.find((account) => account.username.toLowerCase() === username.toLowerCase());
+      const passwordHash = await hashPassword(password);
+      if (existing) {
+        existing.passwordHash = passwordHash;
+      } else {
+        accounts.push({ username, passwordHash, createdAt: new Date().toISOString() });
+      }
+      writeAccounts(accountsFile, accounts);
+      console.log(`${existing ? 'Updated' : 'Added'} ${username} in ${accountsFile}.`);
+      break;
+    }
+    case 'remove': {
+      const remaining = accounts.filter((account) => account.username.toLowerCase() !== String(username).toLowerCase());
+      if (remaining.length === accounts.length) {
+        throw new Error(`There is no account called ${username}.`);
+      }
+      writeAccounts(accountsFile, remaining);
+      console.log(`Removed ${username} from ${accountsFile}.`);
+      break;
+    }
+    case 'list':
+      accounts.forEach((account) => console.log(account.username));
+      break;
+    default:
+      throw new Error('Usage: host-account add <username> | remove <username> | list');
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
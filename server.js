@@ -1,21 +1,150 @@
 const express = require('express');
 const http = require('http');
+const os = require('os');
 const path = require('path');
+const { EventEmitter } = require('events');
 const WebSocket = require('ws');
 const { randomUUID } = require('crypto');
+const {
+  normalizeDeck,
+  isSameQuestion,
+  normalizeResponse,
+  isCorrectResponse,
+  aggregateResponses,
+} = require('./lib/questions');
+const { normalizeName, loadNameFilter, uniqueName, generateNickname } = require('./lib/names');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { createStorage } = require('./lib/storage');
+const { createBackplane } = require('./lib/backplane');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createAuth } = require('./lib/auth');
+const { normalizeTeams, teamMembers, pickSmallestTeam, buildTeamResults, buildTeamStandings } = require('./lib/teams');
+const { normalizeSchedule } = require('./lib/assignments');
+const { createApiRouter, createApiErrorHandler } = require('./lib/api');
+const {
+  DEFAULT_MAX_UPLOAD_BYTES,
+  DEFAULT_MAX_UPLOAD_STORAGE_BYTES,
+  UPLOAD_ID_PATTERN,
+  uploadMimeType,
+} = require('./lib/uploads');
+const { renderQrSvg } = require('./lib/qrcode');
+const { localized, createTranslator } = require('./lib/i18n');
 
 const { WebSocketServer } = WebSocket;
 
+const PORT = process.env.PORT || 3000;
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${PORT}`;
+const HOST_RECONNECT_GRACE_MS = Number(process.env.HOST_RECONNECT_GRACE_MS) || 60000;
+const WS_MAX_PAYLOAD_BYTES = Number(process.env.WS_MAX_PAYLOAD_BYTES) || 64 * 1024;
+const MAX_PLAYERS_PER_GAME = Number(process.env.MAX_PLAYERS_PER_GAME) || 250;
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || DEFAULT_MAX_UPLOAD_BYTES;
+const UPLOAD_STORAGE_MAX_BYTES = Number(process.env.UPLOAD_STORAGE_MAX_BYTES) || DEFAULT_MAX_UPLOAD_STORAGE_BYTES;
+const TRUST_PROXY = ['1', 'true'].includes(process.env.TRUST_PROXY);
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const HEARTBEAT_INTERVAL_MS = Number(process.env.HEARTBEAT_INTERVAL_MS) || 30000;
+const PLAYER_IDLE_TIMEOUT_MS = Number(process.env.PLAYER_IDLE_TIMEOUT_MS) || 15 * 60 * 1000;
+const GAME_IDLE_TIMEOUT_MS = Number(process.env.GAME_IDLE_TIMEOUT_MS) || 2 * 60 * 60 * 1000;
+// Short timeouts, handy while developing, are still honoured on time.
+const SWEEP_INTERVAL_MS = Math.min(60000, PLAYER_IDLE_TIMEOUT_MS, GAME_IDLE_TIMEOUT_MS);
+const MAX_RATE_LIMIT_STRIKES = 20;
+// WebSocket close code for clients that break the rules (RFC 6455 section 7.4.1).
+const CLOSE_POLICY_VIOLATION = 1008;
+const UPGRADE_REQUIRED_MESSAGE = localized('errors.upgradeRequired');
+
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: '/ws' });
+const wss = new WebSocketServer({ server, path: '/ws', maxPayload: WS_MAX_PAYLOAD_BYTES });
+const MAX_POINTS = 1000;
+const DEFAULT_SCORING_WINDOW = 30;
+const LEADERBOARD_SIZE = 10;
 
-const PORT = process.env.PORT || 3000;
+const logger = createLogger({ level: process.env.LOG_LEVEL, base: { instance: INSTANCE_ID } });
+
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER,
+  filePath: process.env.STORAGE_FILE,
+  logger,
+});
+
+const backplane = createBackplane({
+  driver: process.env.BACKPLANE_DRIVER,
+  url: process.env.REDIS_URL,
+  instanceId: INSTANCE_ID,
+  logger,
+});
+
+const auth = createAuth({
+  mode: process.env.HOST_AUTH,
+  secret: process.env.HOST_SECRET,
+  accountsFile: process.env.HOST_ACCOUNTS_FILE,
+  sessionSecret: process.env.AUTH_SESSION_SECRET,
+});
+
+const nameFilter = loadNameFilter({
+  file: process.env.NAME_BLOCKLIST_FILE,
+  extra: process.env.NAME_BLOCKLIST,
+});
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 const games = new Map();
+// WebSockets connected to this instance, by connection id, so replies from the
+// instance that owns a game can find their way back.
+const localSockets = new Map();
+// Stand-ins for WebSockets on other instances whose messages are relayed here,
+// keyed by `${instanceId}:${connectionId}`.
+const remoteSockets = new Map();
+// Messages that name a game code. When the code belongs to another instance the
+// whole connection is relayed there.
+const ROUTED_MESSAGES = ['host:resume', 'player:join', 'player:rejoin', 'presenter:watch'];
+
+const metrics = createMetrics({ prefix: 'kaboot_' });
+const messageCounter = metrics.counter('ws_messages_total', 'WebSocket messages accepted, by type.');
+const errorCounter = metrics.counter('ws_errors_total', 'Error replies sent to WebSocket clients, by code.');
+const gameCounter = metrics.counter('games_created_total', 'Games created since the process started.');
+const voteCounter = metrics.counter('votes_total', 'Votes accepted, including changed answers.');
+metrics.gauge('active_games', 'Games currently hosted by this instance.', () => games.size);
+metrics.gauge('connected_players', 'Players with an open connection to a game on this instance.', () =>
+  Array.from(games.values()).reduce(
+    (total, game) => total + Array.from(game.players.values()).filter((player) => player.connected).length,
+    0
+  )
+);
+metrics.gauge('websocket_connections', 'WebSockets open on this instance, whatever their role.', () =>
+  localSockets.size
+);
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started.', () => Math.round(process.uptime()));
+
+// The message schemas and the locale list live in public/js so the browser
+// clients can import the same files. They are ES modules, so they are loaded
+// before the server starts listening.
+let protocol = null;
+let i18n = null;
+let shuttingDown = false;
+
+const connectionLimiter = createRateLimiter({ capacity: 30, refillPerSecond: 10 });
+const ipLimiter = createRateLimiter({ capacity: 300, refillPerSecond: 100 });
+// Failed lookups of game codes. A handful per minute per connection is plenty
+// for typos; the budget per IP address is much larger so that a classroom
+// behind one NAT address survives its typos, yet it still makes walking the
+// code space impractical.
+const codeConnectionLimiter = createRateLimiter({ capacity: 10, refillPerSecond: 10 / 60 });
+const codeIpLimiter = createRateLimiter({ capacity: 100, refillPerSecond: 100 / 300 });
+// Host and rejoin tokens are random UUIDs.
+const TOKEN_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+setInterval(() => {
+  ipLimiter.prune();
+  codeConnectionLimiter.prune();
+  codeIpLimiter.prune();
+}, 60000).unref();
+
+function getClientIp(req) {
+  const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
 
 function generateGameCode() {
   let code;
@@ -25,157 +154,1429 @@ function generateGameCode() {
   return code;
 }
 
+// Messages built with localized() are translated for each socket, so one
+// broadcast reaches every player in their own language.
 function send(socket, payload) {
-  if (socket.readyState === WebSocket.OPEN) {
-    socket.send(JSON.stringify(payload));
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(i18n.localize(payload, socket.locale)));
   }
 }
 
+// Error codes are listed in ERROR_CODES in public/js/protocol.mjs.
+function sendError(socket, code, message) {
+  errorCounter.inc({ code });
+  logger.info('client_error', { errorCode: code, message: i18n.translate(i18n.defaultLocale, message) });
+  send(socket, { type: 'error', code, message });
+}
+
 function broadcastToPlayers(game, payload) {
   game.players.forEach((player) => {
     send(player.socket, payload);
   });
 }
 
+function serializePresenterState(game) {
+  const ended = game.state === 'ended';
+  const players = Array.from(game.players.values());
+  return {
+    type: 'presenter:state',
+    code: game.code,
+    state: game.state,
+    locked: game.locked,
+    responseMode: game.responseMode,
+    paceMode: game.paceMode,
+    hostConnected: Boolean(game.hostSocket),
+    players: players.filter((player) => player.connected).map((player) => player.name),
+    teams: game.teams.map((team) => ({
+      id: team.id,
+      name: team.name,
+      players: teamMembers(team, players)
+        .filter((player) => player.connected)
+        .map((player) => player.name),
+    })),
+    playerCount: players.length,
+    answered: players.filter((player) => player.hasVoted).length,
+    ...serializeQuestion(game),
+    results: ended ? game.results[game.currentIndex] : null,
+    teamResults: ended ? tallyTeamResults(game) : null,
+    correct: ended ? currentQuestion(game).correct : null,
+    leaderboard: ended ? buildStandings(players).slice(0, LEADERBOARD_SIZE) : null,
+    teamStandings: ended ? serializeTeamStandings(game) : null,
+  };
+}
+
+// Presenter screens are read-only, so rather than mirroring every host message they
+// get a fresh snapshot of the whole game whenever something visible changes.
+function updatePresenters(game) {
+  if (!game.presenters.size) {
+    return;
+  }
+  const payload = serializePresenterState(game);
+  game.presenters.forEach((socket) => {
+    send(socket, payload);
+  });
+}
+
 function serializePlayers(game) {
   return Array.from(game.players.values()).map((player) => ({
     id: player.id,
     name: player.name,
+    teamId: player.teamId,
     hasVoted: player.hasVoted,
+    connected: player.connected,
+    // How many questions a player in a self-paced game is through.
+    progress: isSelfPaced(game) ? player.questionIndex : null,
   }));
 }
 
-function countVotes(game) {
-  const counts = game.options.map(() => 0);
+function findTeam(game, teamId) {
+  return game.teams.find((team) => team.id === teamId) || null;
+}
+
+// Anonymous games keep teams for grouping players only: their answers are not
+// tied to anyone, so there is nothing to split by team and no score to add up.
+function hasTeamResults(game) {
+  return game.teams.length > 0 && !isAnonymous(game);
+}
+
+// Answers to questions that have ended are kept per player once they are scored.
+function savedResponse(questionIndex) {
+  return (player) => (player.answers[questionIndex] ? player.answers[questionIndex].response : null);
+}
+
+function tallyTeamResults(game) {
+  const live = game.state === 'active';
+  if (!hasTeamResults(game) || (!live && !game.results[game.currentIndex])) {
+    return null;
+  }
+  const responseOf = live ? (player) => player.response : savedResponse(game.currentIndex);
+  return buildTeamResults(currentQuestion(game), game.teams, game.players.values(), responseOf);
+}
+
+function serializeTeamStandings(game) {
+  return hasTeamResults(game) ? buildTeamStandings(game.teams, game.players.values()) : null;
+}
+
+function otherPlayerNames(game, exceptId) {
+  return Array.from(game.players.values())
+    .filter((player) => player.id !== exceptId)
+    .map((player) => player.name);
+}
+
+function resolvePlayerName(game, requestedName, exceptId = null) {
+  const name = normalizeName(requestedName);
+  if (!name) {
+    return { error: localized('names.empty') };
+  }
+  if (nameFilter.isBlocked(name)) {
+    return { error: localized('names.blocked') };
+  }
+  return { name: uniqueName(name, otherPlayerNames(game, exceptId)) };
+}
+
+function findPlayerByToken(game, rejoinToken) {
+  return Array.from(game.players.values()).find((player) => player.rejoinToken === rejoinToken);
+}
+
+function currentQuestion(game) {
+  return game.questions[game.currentIndex];
+}
+
+function resetVotes(game) {
+  game.ballots = {};
+  game.players.forEach((player) => {
+    player.hasVoted = false;
+    player.response = null;
+  });
+}
+
+function isAnonymous(game) {
+  return game.responseMode === 'anonymous';
+}
+
+function isSelfPaced(game) {
+  return game.paceMode === 'self';
+}
+
+// A ballot in an anonymous game cannot be taken back out of the totals, so
+// answers there are always final. So are answers in self-paced games, where
+// answering moves the player on to the next question.
+function canChangeVote(game, question) {
+  return Boolean(question.allowChanges) && !isAnonymous(game) && !isSelfPaced(game);
+}
+
+// Anonymous games only count how often each distinct answer was given; nothing
+// ties an answer, or the moment it arrived, back to the player who sent it.
+function castBallot(ballots, response) {
+  const key = JSON.stringify(response);
+  ballots[key] = (ballots[key] || 0) + 1;
+}
+
+function ballotResponses(ballots) {
+  return Object.entries(ballots).flatMap(([key, count]) => Array(count).fill(JSON.parse(key)));
+}
+
+// Players in a self-paced game each have their own question and clock, so
+// they pass theirs in.
+function serializeQuestion(
+  game,
+  index = game.currentIndex,
+  endsAt = game.state === 'active' ? game.pollEndsAt : null
+) {
+  const { type, question, options, timeLimit, maxChoices, scale } = game.questions[index];
+  return {
+    questionType: type,
+    question,
+    options,
+    maxChoices,
+    scale,
+    allowChanges: canChangeVote(game, game.questions[index]),
+    questionIndex: index,
+    totalQuestions: game.questions.length,
+    timeLimit,
+    remainingMs: endsAt ? Math.max(0, endsAt - Date.now()) : null,
+  };
+}
+
+function startTimer(game) {
+  const remainingMs = Math.max(0, game.pollEndsAt - Date.now());
+  game.pollTimer = setTimeout(() => endPoll(game), remainingMs);
+}
+
+function stopTimer(game) {
+  clearTimeout(game.pollTimer);
+  game.pollTimer = null;
+  game.pollEndsAt = null;
+}
+
+function recalculateScore(player) {
+  player.score = Object.values(player.answers).reduce((sum, answer) => sum + answer.points, 0);
+}
+
+// Kahoot-style scoring: a correct answer earns between half and all of MAX_POINTS,
+// depending on how much of the time limit (or a default window) had elapsed.
+// `response` and `responseMs` are null when the player did not answer.
+function recordAnswer(player, question, questionIndex, response, responseMs) {
+  const isCorrect = isCorrectResponse(question, response);
+  const windowMs = (question.timeLimit || DEFAULT_SCORING_WINDOW) * 1000;
+  const points = isCorrect ? Math.round(MAX_POINTS * (1 - Math.min(responseMs / windowMs, 1) / 2)) : 0;
+  player.answers[questionIndex] = {
+    response,
+    correct: isCorrect,
+    points,
+    responseMs,
+  };
+  player.lastScoredIndex = questionIndex;
+  recalculateScore(player);
+  if (question.correct.length > 0) {
+    player.streak = isCorrect ? player.streak + 1 : 0;
+  }
+}
+
+function scoreQuestion(game) {
+  if (isAnonymous(game)) {
+    return;
+  }
   game.players.forEach((player) => {
-    if (typeof player.choiceIndex === 'number') {
-      counts[player.choiceIndex] += 1;
+    const answered = player.response !== null;
+    recordAnswer(
+      player,
+      currentQuestion(game),
+      game.currentIndex,
+      player.response,
+      answered ? player.answeredAt - game.pollStartedAt : null
+    );
+  });
+}
+
+function buildStandings(players) {
+  const sorted = Array.from(players).sort((a, b) => b.score - a.score);
+  let rank = 0;
+  return sorted.map((player, index) => {
+    if (index === 0 || sorted[index - 1].score !== player.score) {
+      rank = index + 1;
     }
+    return {
+      id: player.id,
+      name: player.name,
+      score: player.score,
+      streak: player.streak,
+      rank,
+    };
+  });
+}
+
+function serializeStanding(standings, player) {
+  const standing = standings.find((entry) => entry.id === player.id);
+  const lastAnswer = player.answers[player.lastScoredIndex];
+  return {
+    ...standing,
+    points: lastAnswer ? lastAnswer.points : 0,
+    correct: lastAnswer ? lastAnswer.correct : null,
+  };
+}
+
+function endPoll(game) {
+  stopTimer(game);
+  game.state = 'ended';
+  const results = tallyResponses(game);
+  game.results[game.currentIndex] = results;
+  scoreQuestion(game);
+  const standings = buildStandings(game.players.values());
+  const leaderboard = standings.slice(0, LEADERBOARD_SIZE);
+  const { correct } = currentQuestion(game);
+  persistGame(game);
+  logger.info('poll_ended', { code: game.code, questionIndex: game.currentIndex, responses: results.total });
+  const teamResults = tallyTeamResults(game);
+  const teamStandings = serializeTeamStandings(game);
+  send(game.hostSocket, {
+    type: 'host:poll_results',
+    questionIndex: game.currentIndex,
+    results,
+    teamResults,
+    correct,
+    leaderboard,
+    teamStandings,
+    responses: serializeResponseAudit(game),
+  });
+  game.players.forEach((player) => {
+    send(player.socket, {
+      type: 'poll:results',
+      ...serializeQuestion(game),
+      results,
+      teamResults,
+      correct,
+      leaderboard,
+      teamStandings,
+      you: serializeStanding(standings, player),
+    });
+  });
+  updatePresenters(game);
+}
+
+function serializeGameRecord(game) {
+  return {
+    id: game.id,
+    code: game.code,
+    hostToken: game.hostToken,
+    createdAt: game.createdAt,
+    updatedAt: Date.now(),
+    owner: game.owner,
+    questions: game.questions,
+    currentIndex: game.currentIndex,
+    results: game.results,
+    state: game.state,
+    locked: game.locked,
+    nameMode: game.nameMode,
+    responseMode: game.responseMode,
+    teamMode: game.teamMode,
+    teams: game.teams,
+    paceMode: game.paceMode,
+    opensAt: game.opensAt,
+    closesAt: game.closesAt,
+    ballots: game.ballots,
+    bannedTokens: game.bannedTokens,
+    pollStartedAt: game.pollStartedAt,
+    pollEndsAt: game.pollEndsAt,
+    players: Array.from(game.players.values()).map((player) => ({
+      id: player.id,
+      rejoinToken: player.rejoinToken,
+      name: player.name,
+      teamId: player.teamId,
+      hasVoted: player.hasVoted,
+      response: player.response,
+      answeredAt: player.answeredAt,
+      answers: player.answers,
+      lastScoredIndex: player.lastScoredIndex,
+      score: player.score,
+      streak: player.streak,
+      questionIndex: player.questionIndex,
+      questionStartedAt: player.questionStartedAt,
+      questionEndsAt: player.questionEndsAt,
+    })),
+  };
+}
+
+// Every change to a game is saved, so saving doubles as the activity clock
+// that the idle sweeper reads.
+function persistGame(game) {
+  game.lastActivityAt = Date.now();
+  storage.saveGame(serializeGameRecord(game)).catch((error) => {
+    logger.error('game_save_failed', { code: game.code, error });
+  });
+}
+
+// Records saved by older versions lack the fields added since, so those get
+// their defaults.
+function gameFromRecord(record) {
+  return {
+    locked: false,
+    nameMode: 'free',
+    responseMode: 'named',
+    teamMode: 'off',
+    teams: [],
+    paceMode: 'live',
+    opensAt: null,
+    closesAt: null,
+    ballots: {},
+    bannedTokens: [],
+    owner: null,
+    ...record,
+    lastActivityAt: record.updatedAt || Date.now(),
+    hostSocket: null,
+    hostGraceTimer: null,
+    scheduleTimer: null,
+    pollTimer: null,
+    presenters: new Set(),
+    players: new Map(
+      record.players.map((player) => [
+        player.id,
+        {
+          teamId: null,
+          questionIndex: 0,
+          questionStartedAt: null,
+          questionEndsAt: null,
+          ...player,
+          questionTimer: null,
+          socket: null,
+          connected: false,
+          disconnectedAt: Date.now(),
+        },
+      ])
+    ),
+  };
+}
+
+function restoreGame(record) {
+  const game = gameFromRecord(record);
+  games.set(game.code, game);
+  if (isSelfPaced(game)) {
+    scheduleAssignment(game);
+    return;
+  }
+  if (game.state === 'active' && game.pollEndsAt) {
+    startTimer(game);
+  }
+  game.hostGraceTimer = setTimeout(() => {
+    destroyGame(game.code);
+  }, HOST_RECONNECT_GRACE_MS);
+}
+
+async function createGame(
+  questions,
+  {
+    nameMode = 'free',
+    responseMode = 'named',
+    teamMode = 'off',
+    teams = [],
+    paceMode = 'live',
+    opensAt = null,
+    closesAt = null,
+    owner = null,
+  } = {}
+) {
+  let code;
+  // Another create on this instance may have taken the code while we waited.
+  do {
+    code = generateGameCode();
+  } while (!(await backplane.claimGame(code)) || games.has(code));
+  const game = {
+    id: randomUUID(),
+    code,
+    createdAt: Date.now(),
+    owner,
+    hostId: null,
+    hostToken: randomUUID(),
+    hostSocket: null,
+    hostGraceTimer: null,
+    questions,
+    currentIndex: 0,
+    results: questions.map(() => null),
+    players: new Map(),
+    presenters: new Set(),
+    locked: false,
+    nameMode,
+    responseMode,
+    teamMode,
+    teams,
+    paceMode,
+    opensAt,
+    closesAt,
+    scheduleTimer: null,
+    ballots: {},
+    bannedTokens: [],
+    state: 'lobby',
+    pollTimer: null,
+    pollStartedAt: null,
+    pollEndsAt: null,
+  };
+  games.set(code, game);
+  if (isSelfPaced(game)) {
+    scheduleAssignment(game);
+  }
+  persistGame(game);
+  gameCounter.inc();
+  logger.info('game_created', {
+    code,
+    gameId: game.id,
+    questions: questions.length,
+    nameMode,
+    responseMode,
+    teamMode,
+    paceMode,
+  });
+  return game;
+}
+
+function serializeGameSummary(game) {
+  const players = Array.from(game.players.values());
+  return {
+    code: game.code,
+    state: game.state,
+    createdAt: game.createdAt,
+    owner: game.owner,
+    nameMode: game.nameMode,
+    responseMode: game.responseMode,
+    teamMode: game.teamMode,
+    paceMode: game.paceMode,
+    opensAt: game.opensAt,
+    closesAt: game.closesAt,
+    hostConnected: Boolean(game.hostSocket),
+    questionIndex: game.currentIndex,
+    totalQuestions: game.questions.length,
+    playerCount: players.length,
+    connectedPlayers: players.filter((player) => player.connected).length,
+  };
+}
+
+function serializeGameDetail(game) {
+  return {
+    ...serializeGameSummary(game),
+    question: serializeQuestion(game),
+    votes: Array.from(game.players.values()).filter((player) => player.hasVoted).length,
+    results: game.state === 'active' ? liveResults(game) : game.results[game.currentIndex],
+    teams: game.teams,
+    teamResults: tallyTeamResults(game),
+    leaderboard: buildStandings(game.players.values()).slice(0, LEADERBOARD_SIZE),
+    teamStandings: serializeTeamStandings(game),
+  };
+}
+
+function serializeResults({
+  id,
+  code,
+  createdAt,
+  endedAt = null,
+  questions,
+  results,
+  players,
+  responseMode = 'named',
+  teams = [],
+}) {
+  const withTeams = teams.length > 0 && responseMode !== 'anonymous';
+  return {
+    id,
+    code,
+    createdAt,
+    endedAt,
+    // The answer key of a question is only shown once it has results.
+    questions: questions.map(({ correct, ...question }, index) => ({
+      ...question,
+      ...(results[index] ? { correct } : {}),
+      results: results[index],
+      teamResults:
+        withTeams && results[index] ? buildTeamResults(question, teams, players, savedResponse(index)) : null,
+    })),
+    leaderboard: buildStandings(players),
+    teamStandings: withTeams ? buildTeamStandings(teams, players) : null,
+  };
+}
+
+function tallyResponses(game) {
+  const responses = isAnonymous(game)
+    ? ballotResponses(game.ballots)
+    : Array.from(game.players.values()).map((player) => player.response);
+  return aggregateResponses(currentQuestion(game), responses);
+}
+
+// Live counts in an anonymous game would show which option each new "Voted"
+// badge went to, so they stay hidden until the question ends.
+function liveResults(game) {
+  return isAnonymous(game) ? null : tallyResponses(game);
+}
+
+function serializeResponseAudit(game) {
+  if (isAnonymous(game) || game.state === 'lobby') {
+    return null;
+  }
+  const question = currentQuestion(game);
+  return Array.from(game.players.values())
+    .filter((player) => player.response !== null)
+    .sort((a, b) => a.answeredAt - b.answeredAt)
+    .map((player) => ({
+      playerId: player.id,
+      name: player.name,
+      response: player.response,
+      correct: isCorrectResponse(question, player.response),
+      answeredAt: player.answeredAt,
+      responseMs: player.answeredAt - game.pollStartedAt,
+    }));
+}
+
+function sendPollProgress(game) {
+  send(game.hostSocket, {
+    type: 'host:poll_progress',
+    results: liveResults(game),
+    teamResults: tallyTeamResults(game),
+    responses: serializeResponseAudit(game),
   });
-  return counts;
 }
 
-function destroyGame(code) {
+function removePlayer(game, player, { banned = false, reason = banned ? 'banned' : 'kicked' } = {}) {
+  clearTimeout(player.questionTimer);
+  game.players.delete(player.id);
+  logger.info('player_removed', { code: game.code, playerId: player.id, reason });
+  if (banned) {
+    game.bannedTokens.push(player.rejoinToken);
+  }
+  if (isSelfPaced(game)) {
+    tallyAssignment(game);
+  }
+  persistGame(game);
+  send(player.socket, {
+    type: 'player:removed',
+    banned,
+    message: localized(banned ? 'status.banned' : 'status.kicked'),
+  });
+  releaseIfIdle(player.socket);
+  send(game.hostSocket, {
+    type: 'host:players_updated',
+    players: serializePlayers(game),
+  });
+  if (game.state === 'active') {
+    sendPollProgress(game);
+  } else if (isSelfPaced(game)) {
+    send(game.hostSocket, serializeAssignmentProgress(game));
+  }
+  updatePresenters(game);
+}
+
+const HOST_LEFT_MESSAGE = localized('status.hostLeft');
+
+function destroyGame(code, { reason = 'host_left', message = HOST_LEFT_MESSAGE } = {}) {
   const game = games.get(code);
   if (!game) {
     return;
   }
-  broadcastToPlayers(game, {
-    type: 'game:ended',
-    message: 'The host has disconnected. The poll has ended.',
+  logger.info('game_ended', { code, gameId: game.id, reason, players: game.players.size });
+  clearTimeout(game.hostGraceTimer);
+  clearTimeout(game.scheduleTimer);
+  stopTimer(game);
+  game.players.forEach((player) => {
+    clearTimeout(player.questionTimer);
+  });
+  const ended = { type: 'game:ended', message };
+  // The host of a self-paced game keeps its results on screen and exports them
+  // from the archived session from now on.
+  send(game.hostSocket, isSelfPaced(game) ? { ...ended, sessionId: game.id } : ended);
+  broadcastToPlayers(game, ended);
+  game.presenters.forEach((socket) => {
+    send(socket, ended);
   });
   games.delete(code);
+  [game.hostSocket, ...game.presenters].forEach(releaseIfIdle);
+  game.players.forEach((player) => releaseIfIdle(player.socket));
+  backplane.releaseGame(code).catch((error) => {
+    logger.error('game_release_failed', { code, error });
+  });
+  const record = { ...serializeGameRecord(game), endedAt: Date.now() };
+  Promise.all([storage.archiveSession(record), storage.deleteGame(code)]).catch((error) => {
+    logger.error('game_archive_failed', { code, error });
+  });
+}
+
+// Connections now reach the instance that claimed the code, so the game here
+// ends rather than carry on with only the players it already has.
+function endLostGame(code) {
+  destroyGame(code, { reason: 'claim_lost', message: localized('status.claimLost') });
+}
+
+// Keep the game around for a grace period so a host whose laptop sleeps or whose
+// Wi-Fi drops can resume with their host token instead of ending the session.
+// Self-paced games carry on without a host until they close.
+function detachHost(game) {
+  game.hostSocket = null;
+  if (isSelfPaced(game)) {
+    updatePresenters(game);
+    return;
+  }
+  broadcastToPlayers(game, {
+    type: 'game:host_status',
+    connected: false,
+    message: localized('status.hostDisconnected'),
+  });
+  updatePresenters(game);
+  game.hostGraceTimer = setTimeout(() => {
+    destroyGame(game.code);
+  }, HOST_RECONNECT_GRACE_MS);
+}
+
+function attachHost(game, socket) {
+  clearTimeout(game.hostGraceTimer);
+  game.hostGraceTimer = null;
+  if (game.hostSocket && game.hostSocket !== socket) {
+    send(game.hostSocket, {
+      type: 'host:session_replaced',
+      message: localized('status.sessionReplaced'),
+    });
+  }
+  const replaced = game.hostSocket;
+  game.hostSocket = socket;
+  releaseIfIdle(replaced);
+  if (!isSelfPaced(game)) {
+    broadcastToPlayers(game, {
+      type: 'game:host_status',
+      connected: true,
+      message: localized('status.hostReconnected'),
+    });
+  }
+  updatePresenters(game);
+}
+
+// Self-paced games open and close on a schedule rather than following a host.
+// Each player has their own current question (`questionIndex`) and clock.
+function scheduleAssignment(game) {
+  clearTimeout(game.scheduleTimer);
+  const now = Date.now();
+  game.scheduleTimer =
+    now < game.opensAt
+      ? setTimeout(() => openAssignment(game), game.opensAt - now)
+      : setTimeout(() => closeAssignment(game), game.closesAt - now);
+}
+
+function assignmentIsOpen(game) {
+  return Date.now() >= game.opensAt;
+}
+
+function openAssignment(game) {
+  logger.info('assignment_opened', { code: game.code, players: game.players.size });
+  game.players.forEach((player) => {
+    if (player.connected) {
+      sendAssignmentQuestion(game, player);
+    }
+  });
+  scheduleAssignment(game);
+}
+
+function closeAssignment(game, reason = 'deadline') {
+  destroyGame(game.code, { reason, message: localized('status.assignmentClosed') });
+}
+
+// Results are kept for every question at once, since players are spread
+// across the deck. Anonymous ballots are kept per question for the same reason.
+function tallyAssignment(game) {
+  const players = Array.from(game.players.values());
+  game.results = game.questions.map((question, index) =>
+    aggregateResponses(
+      question,
+      isAnonymous(game) ? ballotResponses(game.ballots[index] || {}) : players.map(savedResponse(index))
+    )
+  );
+}
+
+function serializeAssignmentProgress(game) {
+  const players = Array.from(game.players.values());
+  return {
+    type: 'host:assignment_progress',
+    results: game.results,
+    teamResults: hasTeamResults(game)
+      ? game.questions.map((question, index) =>
+          buildTeamResults(question, game.teams, players, savedResponse(index))
+        )
+      : null,
+    leaderboard: buildStandings(players).slice(0, LEADERBOARD_SIZE),
+    teamStandings: serializeTeamStandings(game),
+  };
+}
+
+// Everything a host needs to pick a game back up after reconnecting. In
+// self-paced games the results follow in host:assignment_progress instead.
+function serializeHostState(game, { sessionId = null, endedAt = null } = {}) {
+  const selfPaced = isSelfPaced(game);
+  return {
+    type: 'host:resumed',
+    code: game.code,
+    questions: game.questions,
+    currentIndex: game.currentIndex,
+    state: game.state,
+    locked: game.locked,
+    nameMode: game.nameMode,
+    responseMode: game.responseMode,
+    teamMode: game.teamMode,
+    teams: game.teams,
+    paceMode: game.paceMode,
+    opensAt: game.opensAt,
+    closesAt: game.closesAt,
+    sessionId,
+    endedAt,
+    players: serializePlayers(game),
+    results: game.state === 'active' ? liveResults(game) : selfPaced ? null : game.results[game.currentIndex],
+    teamResults: selfPaced ? null : tallyTeamResults(game),
+    responses: selfPaced ? null : serializeResponseAudit(game),
+    remainingMs: serializeQuestion(game).remainingMs,
+    leaderboard: buildStandings(game.players.values()).slice(0, LEADERBOARD_SIZE),
+    teamStandings: serializeTeamStandings(game),
+  };
+}
+
+// A closed assignment lives on as an archived session, which its host can
+// still open with the results link they were given.
+function findClosedAssignment(code, hostToken, owner) {
+  return storage
+    .listSessions()
+    .then((sessions) =>
+      sessions.find(
+        (session) =>
+          session.paceMode === 'self' &&
+          session.code === code &&
+          session.hostToken === hostToken &&
+          (!auth.required || session.owner === owner)
+      )
+    );
+}
+
+// Shows the player the question they are up to. Its clock starts the first
+// time it is shown, so time away between questions does not count against them.
+function sendAssignmentQuestion(game, player) {
+  if (player.questionIndex >= game.questions.length) {
+    send(player.socket, {
+      type: 'player:assignment_complete',
+      score: isAnonymous(game) ? null : player.score,
+      correctAnswers: isAnonymous(game)
+        ? null
+        : Object.values(player.answers).filter((answer) => answer.correct).length,
+      gradedQuestions: game.questions.filter((question) => question.correct.length > 0).length,
+      closesAt: game.closesAt,
+    });
+    return;
+  }
+  if (player.questionStartedAt === null) {
+    const { timeLimit } = game.questions[player.questionIndex];
+    player.questionStartedAt = Date.now();
+    player.questionEndsAt = timeLimit ? player.questionStartedAt + timeLimit * 1000 : null;
+    persistGame(game);
+  } else if (player.questionEndsAt && player.questionEndsAt <= Date.now()) {
+    // Time ran out while the player was away.
+    answerAssignmentQuestion(game, player, null);
+    return;
+  }
+  clearTimeout(player.questionTimer);
+  if (player.questionEndsAt) {
+    player.questionTimer = setTimeout(
+      () => answerAssignmentQuestion(game, player, null),
+      player.questionEndsAt - Date.now()
+    );
+  }
+  send(player.socket, {
+    type: 'poll:start',
+    ...serializeQuestion(game, player.questionIndex, player.questionEndsAt),
+  });
 }
 
-wss.on('connection', (socket) => {
-  const clientId = randomUUID();
-  let role = null;
+// `response` is null when the player ran out of time.
+function answerAssignmentQuestion(game, player, response) {
+  clearTimeout(player.questionTimer);
+  player.questionTimer = null;
+  const index = player.questionIndex;
+  if (!isAnonymous(game)) {
+    const responseMs = response === null ? null : Date.now() - player.questionStartedAt;
+    recordAnswer(player, game.questions[index], index, response, responseMs);
+  } else if (response !== null) {
+    game.ballots[index] = game.ballots[index] || {};
+    castBallot(game.ballots[index], response);
+  }
+  player.questionIndex += 1;
+  player.questionStartedAt = null;
+  player.questionEndsAt = null;
+  player.hasVoted = player.questionIndex >= game.questions.length;
+  tallyAssignment(game);
+  persistGame(game);
+  send(game.hostSocket, {
+    type: 'host:players_updated',
+    players: serializePlayers(game),
+  });
+  send(game.hostSocket, serializeAssignmentProgress(game));
+  updatePresenters(game);
+  if (player.connected) {
+    sendAssignmentQuestion(game, player);
+  }
+}
+
+// Players who closed their laptop and games nobody has touched in hours would
+// otherwise stay in memory, in storage and on the host's player list forever.
+function sweepIdle() {
+  const now = Date.now();
+  games.forEach((game) => {
+    // Self-paced games close on their own schedule, and their players come and go.
+    if (isSelfPaced(game)) {
+      return;
+    }
+    if (now - game.lastActivityAt > GAME_IDLE_TIMEOUT_MS) {
+      destroyGame(game.code, {
+        reason: 'idle',
+        message: localized('status.idleClosed'),
+      });
+      return;
+    }
+    game.players.forEach((player) => {
+      if (!player.connected && now - player.disconnectedAt > PLAYER_IDLE_TIMEOUT_MS) {
+        removePlayer(game, player, { reason: 'idle' });
+      }
+    });
+  });
+}
+
+setInterval(sweepIdle, SWEEP_INTERVAL_MS).unref();
+
+// Stands in for a WebSocket held by another instance. Whatever the game sends
+// to it is published back to that instance, which writes it to the real socket.
+function createRemoteSocket(instanceId, connectionId) {
+  const socket = new EventEmitter();
+  socket.readyState = WebSocket.OPEN;
+  socket.send = (data) => {
+    backplane.publish(instanceId, { kind: 'send', connectionId, data }).catch((error) => {
+      logger.error('relay_failed', { target: instanceId, kind: 'send', error });
+    });
+  };
+  socket.close = (code, reason) => {
+    backplane.publish(instanceId, { kind: 'close', connectionId, code, reason }).catch((error) => {
+      logger.error('relay_failed', { target: instanceId, kind: 'close', error });
+    });
+    endRemoteSocket(`${instanceId}:${connectionId}`);
+  };
+  // Hands the connection back to the instance it came from, which routes the
+  // next game code it sends afresh. `data` is a message that reached this
+  // instance after all and goes back to be handled there.
+  socket.release = (data) => {
+    backplane.publish(instanceId, { kind: 'release', connectionId, data }).catch((error) => {
+      logger.error('relay_failed', { target: instanceId, kind: 'release', error });
+    });
+    endRemoteSocket(`${instanceId}:${connectionId}`);
+  };
+  return socket;
+}
+
+// Called whenever a socket may have lost its hold on a game; relayed ones are
+// released if they no longer hold any.
+function releaseIfIdle(socket) {
+  if (socket && socket.releaseIfIdle) {
+    socket.releaseIfIdle();
+  }
+}
+
+function endRemoteSocket(key) {
+  const socket = remoteSockets.get(key);
+  if (!socket) {
+    return;
+  }
+  remoteSockets.delete(key);
+  socket.readyState = WebSocket.CLOSED;
+  socket.emit('close');
+}
+
+function handleEnvelope(envelope) {
+  const { kind, from, connectionId } = envelope;
+  if (kind === 'send' || kind === 'close' || kind === 'release') {
+    const socket = localSockets.get(connectionId);
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    if (kind === 'send') {
+      socket.send(envelope.data);
+    } else if (kind === 'close') {
+      socket.close(envelope.code, envelope.reason);
+    } else {
+      socket.endRelay(envelope.data);
+    }
+    return;
+  }
+  const key = `${from}:${connectionId}`;
+  if (kind === 'message') {
+    let socket = remoteSockets.get(key);
+    if (!socket) {
+      socket = createRemoteSocket(from, connectionId);
+      socket.locale = envelope.locale;
+      remoteSockets.set(key, socket);
+      handleConnection(socket, {
+        connectionId: key,
+        ip: envelope.ip,
+        owner: envelope.owner,
+        remote: true,
+        role: envelope.role,
+        protocolVersion: envelope.protocolVersion,
+      });
+    }
+    socket.emit('message', envelope.data);
+  } else if (kind === 'disconnect') {
+    endRemoteSocket(key);
+  }
+}
+
+// `remote` connections were relayed from another instance, which has already
+// identified them and decided that this instance owns their game. `owner` is
+// the host signed in when the connection opened, if any.
+function handleConnection(socket, options) {
+  const { connectionId: clientId, ip, owner = null, remote = false } = options;
+  let role = options.role || null;
   let currentGameCode = null;
   let playerId = null;
+  // The rejoin token of the last player this connection joined as. It outlives
+  // the player, so a banned connection cannot simply join again.
+  let playerToken = null;
+  let rateLimitStrikes = 0;
+  let protocolVersion = options.protocolVersion || null;
+  let upgradeRequired = false;
+  // Set once the connection is relayed to the instance that owns its game.
+  let relayTo = null;
+  // Messages that arrive while the owner of a game code is being looked up.
+  let pendingLookup = null;
+  // Lookups and game creation still running for this connection, which may yet
+  // leave it holding a game.
+  let pendingWork = 0;
+
+  function closeForPolicy(code, message, reason) {
+    sendError(socket, code, message);
+    socket.close(CLOSE_POLICY_VIOLATION, reason);
+  }
+
+  // Checked before any code or token lookup so guessing stops as soon as the
+  // budget runs out; only failed lookups spend from it.
+  function canTryCode() {
+    if (codeConnectionLimiter.peek(clientId) && codeIpLimiter.peek(ip)) {
+      return true;
+    }
+    closeForPolicy(
+      'TOO_MANY_ATTEMPTS',
+      localized('errors.tooManyAttempts'),
+      'Too many invalid game codes'
+    );
+    return false;
+  }
+
+  function isHostOf(game) {
+    return game.hostSocket === socket && (!auth.required || game.owner === owner);
+  }
+
+  // A host that moves on to another game leaves the one it was running, which
+  // then waits for its host to come back like any other.
+  function leaveHostedGame(nextCode) {
+    const game = games.get(currentGameCode);
+    if (role === 'host' && game && game.code !== nextCode && game.hostSocket === socket) {
+      detachHost(game);
+    }
+  }
+
+  function holdsGame() {
+    const game = games.get(currentGameCode);
+    if (!game) {
+      return false;
+    }
+    if (role === 'host') {
+      return game.hostSocket === socket;
+    }
+    if (role === 'player') {
+      // A banned player stays with the game so the ban still applies to it.
+      return game.players.has(playerId) || game.bannedTokens.includes(playerToken);
+    }
+    return game.presenters.has(socket);
+  }
+
+  // A relayed connection whose attempt failed or whose game is over has nothing
+  // left on this instance, so the instance it came from takes it back.
+  if (remote) {
+    socket.releaseIfIdle = () => {
+      if (pendingWork === 0 && socket.readyState === WebSocket.OPEN && !holdsGame()) {
+        socket.release();
+      }
+    };
+  } else {
+    // The message that came back was already turned away by the instance
+    // the connection was relayed to, so it is not routed there again.
+    socket.endRelay = (data) => {
+      logger.info('connection_released', { connectionId: clientId, target: relayTo });
+      relayTo = null;
+      if (data) {
+        handleMessage(data, { canRoute: false });
+      }
+    };
+  }
+
+  function recordFailedCode() {
+    codeConnectionLimiter.take(clientId);
+    codeIpLimiter.take(ip);
+  }
+
+  // A stale token that looks like one the server issued is what every device in
+  // a room sends after a restart. The reply is the same whether or not the code
+  // exists, so it reveals nothing and is not charged.
+  function recordFailedToken(token) {
+    if (!TOKEN_PATTERN.test(token || '')) {
+      recordFailedCode();
+    }
+  }
+
+  function readDeck(message) {
+    const deck = normalizeDeck(message);
+    if (deck.error) {
+      sendError(socket, 'INVALID_DECK', deck.error);
+      return null;
+    }
+    return deck.questions;
+  }
+
+  // Votes in self-paced games name the question they answer, so one sent just
+  // as the player's time ran out is not counted against the next question.
+  function voteInAssignment(game, message) {
+    const player = game.players.get(playerId);
+    if (!player) {
+      sendError(socket, 'PLAYER_NOT_FOUND', localized('errors.notInGame'));
+      return;
+    }
+    if (player.questionIndex >= game.questions.length) {
+      sendError(socket, 'ALREADY_VOTED', localized('errors.assignmentFinished'));
+      return;
+    }
+    if (!assignmentIsOpen(game) || player.questionStartedAt === null) {
+      sendError(socket, 'POLL_NOT_ACTIVE', localized('errors.votingClosed'));
+      return;
+    }
+    if (message.questionIndex !== player.questionIndex) {
+      sendError(socket, 'POLL_NOT_ACTIVE', localized('errors.questionTimedOut'));
+      return;
+    }
+    const vote = normalizeResponse(game.questions[player.questionIndex], message);
+    if (vote.error) {
+      sendError(socket, 'INVALID_RESPONSE', vote.error);
+      return;
+    }
+    voteCounter.inc();
+    logger.info('vote', { code: game.code, playerId, questionIndex: player.questionIndex, changed: false });
+    send(socket, {
+      type: 'player:voted',
+      response: vote.response,
+    });
+    answerAssignmentQuestion(game, player, vote.response);
+  }
+
+  function relay(rawMessage) {
+    backplane
+      .publish(relayTo, {
+        kind: 'message',
+        from: backplane.instanceId,
+        connectionId: clientId,
+        ip,
+        owner,
+        role,
+        protocolVersion,
+        locale: socket.locale,
+        data: rawMessage.toString(),
+      })
+      .catch((error) => {
+        logger.error('relay_failed', { target: relayTo, kind: 'message', error });
+      });
+  }
+
+  function acceptMessage(rawMessage) {
+    if (relayTo) {
+      relay(rawMessage);
+    } else if (pendingLookup) {
+      pendingLookup.push(rawMessage);
+    } else {
+      handleMessage(rawMessage, { canRoute: true });
+    }
+  }
+
+  // The first message to name a game code that is not on this instance decides
+  // where the connection lives: if another instance owns the code, this one
+  // relays everything from then on.
+  function routeToOwner(code, rawMessage) {
+    pendingLookup = [rawMessage];
+    backplane
+      .findGame(code)
+      .catch((error) => {
+        logger.error('game_lookup_failed', { code, error });
+        return null;
+      })
+      .then((owner) => {
+        const [first, ...rest] = pendingLookup;
+        pendingLookup = null;
+        if (socket.readyState !== WebSocket.OPEN) {
+          return;
+        }
+        if (owner && owner !== backplane.instanceId) {
+          relayTo = owner;
+          logger.info('connection_relayed', { connectionId: clientId, code, target: owner });
+          [first, ...rest].forEach(relay);
+          return;
+        }
+        handleMessage(first, { canRoute: false });
+        rest.forEach(acceptMessage);
+      });
+  }
 
   socket.on('message', (rawMessage) => {
+    if (!connectionLimiter.take(clientId) || !ipLimiter.take(ip)) {
+      rateLimitStrikes += 1;
+      if (rateLimitStrikes >= MAX_RATE_LIMIT_STRIKES) {
+        closeForPolicy('RATE_LIMITED', localized('errors.rateLimitClosed'), 'Rate limit exceeded');
+      } else if (rateLimitStrikes === 1) {
+        sendError(socket, 'RATE_LIMITED', localized('errors.rateLimited'));
+      }
+      return;
+    }
+    rateLimitStrikes = 0;
+    acceptMessage(rawMessage);
+    releaseIfIdle(socket);
+  });
+
+  function handleMessage(rawMessage, { canRoute }) {
     let message;
     try {
       message = JSON.parse(rawMessage.toString());
     } catch (error) {
-      send(socket, {
-        type: 'error',
-        message: 'Invalid JSON payload received.',
-      });
+      sendError(socket, 'INVALID_JSON', localized('errors.invalidJson'));
+      return;
+    }
+
+    const { schema, error } = protocol.validateClientMessage(message);
+    if (error) {
+      sendError(socket, error.code, localized(error.message.key, error.message.params));
+      return;
+    }
+    messageCounter.inc({ type: message.type });
+    if (message.type !== 'identify' && !protocolVersion) {
+      if (upgradeRequired) {
+        sendError(socket, 'UPGRADE_REQUIRED', UPGRADE_REQUIRED_MESSAGE);
+      } else {
+        sendError(socket, 'NOT_IDENTIFIED', localized('errors.notIdentified'));
+      }
+      return;
+    }
+    if (schema.roles && !schema.roles.includes(role)) {
+      sendError(socket, 'FORBIDDEN', localized('errors.forbidden', { role: localized(`roles.${schema.roles[0]}`) }));
+      return;
+    }
+    if (schema.needsGame && (!currentGameCode || !games.has(currentGameCode))) {
+      sendError(socket, 'NO_GAME', localized(role === 'host' ? 'errors.noHostGame' : 'errors.noPlayerGame'));
+      return;
+    }
+    // The host of a game is the socket it is attached to, so a connection that
+    // was replaced by another session no longer steers the game.
+    if (schema.needsGame && role === 'host' && !isHostOf(games.get(currentGameCode))) {
+      sendError(socket, 'FORBIDDEN', localized('errors.notGameHost'));
+      return;
+    }
+    if (schema.paceMode && games.get(currentGameCode).paceMode !== schema.paceMode) {
+      sendError(
+        socket,
+        'WRONG_PACE_MODE',
+        localized(schema.paceMode === 'live' ? 'errors.liveOnly' : 'errors.selfPacedOnly')
+      );
+      return;
+    }
+    if (
+      canRoute &&
+      !remote &&
+      !currentGameCode &&
+      ROUTED_MESSAGES.includes(message.type) &&
+      !games.has(message.code)
+    ) {
+      if (canTryCode()) {
+        routeToOwner(message.code, rawMessage);
+      }
+      return;
+    }
+    // The release of a relayed connection can reach the instance it came from
+    // after its next message has already been relayed here.
+    if (remote && !holdsGame() && ROUTED_MESSAGES.includes(message.type) && !games.has(message.code)) {
+      socket.release(rawMessage);
       return;
     }
 
     switch (message.type) {
       case 'identify': {
-        if (!['host', 'player'].includes(message.role)) {
-          send(socket, { type: 'error', message: 'Unknown role specified.' });
+        // A role is for the life of the connection; switching it would let a
+        // player act as the host of the game they joined.
+        if (role) {
+          sendError(socket, 'ALREADY_IDENTIFIED', localized('errors.alreadyIdentified'));
+          return;
+        }
+        // Connections that predate versioning do not send protocolVersion at all.
+        const requested = message.protocolVersion || 1;
+        if (requested < protocol.MIN_PROTOCOL_VERSION) {
+          upgradeRequired = true;
+          sendError(socket, 'UPGRADE_REQUIRED', UPGRADE_REQUIRED_MESSAGE);
+          return;
+        }
+        if (message.role === 'host' && auth.required && !owner) {
+          sendError(socket, 'UNAUTHORIZED', localized('errors.unauthorized'));
           return;
         }
         role = message.role;
-        send(socket, { type: 'identified', role });
+        protocolVersion = Math.min(requested, protocol.PROTOCOL_VERSION);
+        // The language picked in the client wins over the browser's Accept-Language.
+        if (message.locale) {
+          socket.locale = i18n.matchLocale([message.locale, socket.locale]);
+        }
+        send(socket, { type: 'identified', role, protocolVersion });
         break;
       }
+      case 'ping':
+        send(socket, { type: 'pong', sentAt: message.sentAt });
+        break;
       case 'host:create_game': {
-        if (role !== 'host') {
-          send(socket, { type: 'error', message: 'Only hosts can create games.' });
+        const questions = readDeck(message);
+        if (!questions) {
           return;
         }
-        const { question, options } = message;
-        if (!question || !Array.isArray(options) || options.length < 2) {
-          send(socket, {
-            type: 'error',
-            message: 'A question and at least two options are required to start a poll.',
-          });
+        const teamSettings = normalizeTeams({ teamMode: message.teamMode, teams: message.teams });
+        if (teamSettings.error) {
+          sendError(socket, 'INVALID_TEAMS', teamSettings.error);
           return;
         }
-        const trimmedOptions = options.map((option) => option.trim()).filter(Boolean);
-        if (trimmedOptions.length < 2) {
-          send(socket, {
-            type: 'error',
-            message: 'Provide at least two non-empty answer options.',
-          });
+        const schedule = normalizeSchedule({
+          paceMode: message.paceMode,
+          opensAt: message.opensAt,
+          closesAt: message.closesAt,
+        });
+        if (schedule.error) {
+          sendError(socket, 'INVALID_SCHEDULE', schedule.error);
           return;
         }
-        const code = generateGameCode();
-        const game = {
-          code,
-          hostId: clientId,
-          hostSocket: socket,
-          question: question.trim(),
-          options: trimmedOptions,
-          players: new Map(),
-          state: 'lobby',
-        };
-        games.set(code, game);
-        currentGameCode = code;
-        send(socket, {
-          type: 'host:game_created',
-          code,
-          question: game.question,
-          options: game.options,
-        });
+        pendingWork += 1;
+        createGame(questions, {
+          nameMode: message.nameMode || 'free',
+          responseMode: message.responseMode || 'named',
+          teamMode: teamSettings.teamMode,
+          teams: teamSettings.teams,
+          ...schedule,
+          owner,
+        })
+          .finally(() => {
+            pendingWork -= 1;
+          })
+          .then((game) => {
+            if (socket.readyState !== WebSocket.OPEN) {
+              detachHost(game);
+              return;
+            }
+            leaveHostedGame(game.code);
+            game.hostId = clientId;
+            game.hostSocket = socket;
+            currentGameCode = game.code;
+            send(socket, {
+              type: 'host:game_created',
+              code: game.code,
+              hostToken: game.hostToken,
+              questions: game.questions,
+              currentIndex: game.currentIndex,
+              nameMode: game.nameMode,
+              responseMode: game.responseMode,
+              teamMode: game.teamMode,
+              teams: game.teams,
+              paceMode: game.paceMode,
+              opensAt: game.opensAt,
+              closesAt: game.closesAt,
+            });
+          })
+          .catch((error) => {
+            logger.error('game_create_failed', { error });
+            sendError(socket, 'SERVER_ERROR', localized('errors.createFailed'));
+          })
+          .then(() => releaseIfIdle(socket));
         break;
       }
-      case 'host:update_poll': {
-        if (role !== 'host') {
-          send(socket, { type: 'error', message: 'Only hosts can update polls.' });
+      case 'host:resume': {
+        if (!canTryCode()) {
           return;
         }
-        if (!currentGameCode || !games.has(currentGameCode)) {
+        const { code, hostToken } = message;
+        const game = games.get(code);
+        const owned = game && (!auth.required || game.owner === owner);
+        const resumeFailed = () => {
+          recordFailedToken(hostToken);
           send(socket, {
-            type: 'error',
-            message: 'Create a game before updating the poll.',
+            type: 'host:resume_failed',
+            code: 'GAME_NOT_FOUND',
+            message: localized('status.hostResumeFailed'),
           });
+        };
+        if (!hostToken) {
+          resumeFailed();
           return;
         }
-        const { question, options } = message;
-        if (!question || !Array.isArray(options) || options.length < 2) {
-          send(socket, {
-            type: 'error',
-            message: 'A question and at least two options are required.',
-          });
+        if (!owned || game.hostToken !== hostToken) {
+          pendingWork += 1;
+          findClosedAssignment(code, hostToken, owner)
+            .finally(() => {
+              pendingWork -= 1;
+            })
+            .then((session) => {
+              if (!session) {
+                resumeFailed();
+                return;
+              }
+              leaveHostedGame(code);
+              const closed = { ...gameFromRecord(session), state: 'ended' };
+              logger.info('host_opened_closed_assignment', { code, sessionId: session.id, connectionId: clientId });
+              send(socket, serializeHostState(closed, { sessionId: session.id, endedAt: session.endedAt }));
+              send(socket, serializeAssignmentProgress(closed));
+            })
+            .catch((error) => {
+              logger.error('session_lookup_failed', { code, error });
+              resumeFailed();
+            })
+            .then(() => releaseIfIdle(socket));
           return;
         }
-        const trimmedOptions = options.map((option) => option.trim()).filter(Boolean);
-        if (trimmedOptions.length < 2) {
-          send(socket, {
-            type: 'error',
-            message: 'Provide at least two non-empty answer options.',
-          });
+        leaveHostedGame(code);
+        attachHost(game, socket);
+        currentGameCode = code;
+        logger.info('host_resumed', { code, connectionId: clientId });
+        send(socket, serializeHostState(game));
+        if (isSelfPaced(game)) {
+          send(socket, serializeAssignmentProgress(game));
+        }
+        break;
+      }
+      case 'host:update_poll': {
+        const questions = readDeck(message);
+        if (!questions) {
           return;
         }
         const game = games.get(currentGameCode);
-        game.question = question.trim();
-        game.options = trimmedOptions;
-        game.state = 'lobby';
+        stopTimer(game);
+        game.results = questions.map((question, index) =>
+          isSameQuestion(question, game.questions[index]) ? game.results[index] : null
+        );
         game.players.forEach((player) => {
-          player.hasVoted = false;
-          player.choiceIndex = undefined;
+          Object.keys(player.answers).forEach((index) => {
+            if (!game.results[index]) {
+              delete player.answers[index];
+            }
+          });
+          recalculateScore(player);
         });
+        game.questions = questions;
+        game.currentIndex = Math.min(game.currentIndex, game.questions.length - 1);
+        game.state = 'lobby';
+        resetVotes(game);
+        persistGame(game);
         send(socket, {
           type: 'host:poll_updated',
-          question: game.question,
-          options: game.options,
+          questions: game.questions,
+          currentIndex: game.currentIndex,
+          results: game.results[game.currentIndex],
         });
         send(socket, {
           type: 'host:players_updated',
@@ -183,119 +1584,245 @@ wss.on('connection', (socket) => {
         });
         broadcastToPlayers(game, {
           type: 'poll:reset',
-          message: 'The host is preparing a new poll. Please wait for the next question.',
+          message: localized('status.pollReset'),
         });
+        updatePresenters(game);
         break;
       }
-      case 'host:start_poll': {
-        if (role !== 'host') {
-          send(socket, { type: 'error', message: 'Only hosts can start polls.' });
+      case 'host:next_question':
+      case 'host:previous_question': {
+        const game = games.get(currentGameCode);
+        if (game.state === 'active') {
+          sendError(socket, 'POLL_ACTIVE', localized('errors.pollActive'));
           return;
         }
-        if (!currentGameCode || !games.has(currentGameCode)) {
-          send(socket, {
-            type: 'error',
-            message: 'Create a game before starting the poll.',
-          });
+        const step = message.type === 'host:next_question' ? 1 : -1;
+        const nextIndex = game.currentIndex + step;
+        if (nextIndex < 0 || nextIndex >= game.questions.length) {
+          sendError(socket, 'NO_MORE_QUESTIONS', localized(step > 0 ? 'errors.lastQuestion' : 'errors.firstQuestion'));
           return;
         }
+        game.currentIndex = nextIndex;
+        game.state = 'lobby';
+        resetVotes(game);
+        persistGame(game);
+        send(socket, {
+          type: 'host:question_changed',
+          ...serializeQuestion(game),
+          results: game.results[game.currentIndex],
+        });
+        send(socket, {
+          type: 'host:players_updated',
+          players: serializePlayers(game),
+        });
+        broadcastToPlayers(game, {
+          type: 'poll:reset',
+          message: localized('status.getReady', { number: nextIndex + 1, total: game.questions.length }),
+        });
+        updatePresenters(game);
+        break;
+      }
+      case 'host:start_poll': {
         const game = games.get(currentGameCode);
         if (game.state === 'active') {
-          send(socket, {
-            type: 'error',
-            message: 'A poll is already in progress.',
-          });
+          sendError(socket, 'POLL_ACTIVE', localized('errors.pollRunning'));
           return;
         }
         game.state = 'active';
-        game.players.forEach((player) => {
-          player.hasVoted = false;
-          player.choiceIndex = undefined;
-        });
+        game.pollStartedAt = Date.now();
+        resetVotes(game);
+        const { timeLimit } = currentQuestion(game);
+        if (timeLimit) {
+          game.pollEndsAt = game.pollStartedAt + timeLimit * 1000;
+          startTimer(game);
+        }
+        persistGame(game);
+        logger.info('poll_started', { code: game.code, questionIndex: game.currentIndex, timeLimit });
         send(socket, {
           type: 'host:players_updated',
           players: serializePlayers(game),
         });
         broadcastToPlayers(game, {
           type: 'poll:start',
-          question: game.question,
-          options: game.options,
+          ...serializeQuestion(game),
         });
         send(socket, {
           type: 'host:poll_started',
+          questionIndex: game.currentIndex,
+          timeLimit,
+          results: liveResults(game),
         });
+        updatePresenters(game);
         break;
       }
       case 'host:end_poll': {
-        if (role !== 'host') {
-          send(socket, { type: 'error', message: 'Only hosts can end polls.' });
+        const game = games.get(currentGameCode);
+        if (game.state !== 'active') {
+          sendError(socket, 'POLL_NOT_ACTIVE', localized('errors.pollNotRunning'));
           return;
         }
-        if (!currentGameCode || !games.has(currentGameCode)) {
-          send(socket, {
-            type: 'error',
-            message: 'Create a game before ending the poll.',
-          });
+        endPoll(game);
+        break;
+      }
+      case 'host:kick_player':
+      case 'host:ban_player': {
+        const game = games.get(currentGameCode);
+        const player = game.players.get(message.playerId);
+        if (!player) {
+          sendError(socket, 'PLAYER_NOT_FOUND', localized('errors.playerGone'));
           return;
         }
+        removePlayer(game, player, { banned: message.type === 'host:ban_player' });
+        break;
+      }
+      case 'host:rename_player': {
         const game = games.get(currentGameCode);
-        if (game.state !== 'active') {
-          send(socket, {
-            type: 'error',
-            message: 'The poll is not currently running.',
-          });
+        const player = game.players.get(message.playerId);
+        if (!player) {
+          sendError(socket, 'PLAYER_NOT_FOUND', localized('errors.playerGone'));
           return;
         }
-        game.state = 'ended';
-        const results = countVotes(game);
-        send(socket, {
-          type: 'host:poll_results',
-          results,
+        const resolved = resolvePlayerName(game, message.name, player.id);
+        if (resolved.error) {
+          sendError(socket, 'INVALID_NAME', resolved.error);
+          return;
+        }
+        const { name } = resolved;
+        player.name = name;
+        persistGame(game);
+        send(player.socket, {
+          type: 'player:renamed',
+          name,
+          message: localized('status.renamed', { name }),
         });
-        broadcastToPlayers(game, {
-          type: 'poll:results',
-          question: game.question,
-          options: game.options,
-          results,
+        send(socket, {
+          type: 'host:players_updated',
+          players: serializePlayers(game),
         });
+        updatePresenters(game);
+        break;
+      }
+      case 'host:lock_lobby': {
+        const game = games.get(currentGameCode);
+        game.locked = message.locked;
+        persistGame(game);
+        send(socket, { type: 'host:lobby_locked', locked: game.locked });
+        updatePresenters(game);
+        break;
+      }
+      case 'host:set_name_mode': {
+        const game = games.get(currentGameCode);
+        game.nameMode = message.nameMode;
+        persistGame(game);
+        send(socket, { type: 'host:name_mode', nameMode: game.nameMode });
         break;
       }
       case 'player:join': {
-        if (role !== 'player') {
-          send(socket, { type: 'error', message: 'Only players can join games.' });
+        const { code } = message;
+        if (!code) {
+          sendError(socket, 'INVALID_MESSAGE', localized('errors.codeRequired'));
           return;
         }
-        const { code, name } = message;
-        if (!code || !name) {
-          send(socket, {
-            type: 'error',
-            message: 'A game code and display name are required.',
-          });
+        if (currentGameCode && games.has(currentGameCode) && games.get(currentGameCode).players.has(playerId)) {
+          sendError(socket, 'ALREADY_JOINED', localized('errors.alreadyJoined'));
+          return;
+        }
+        if (!canTryCode()) {
           return;
         }
         const game = games.get(code);
         if (!game) {
-          send(socket, {
-            type: 'error',
-            message: 'No game found with that code.',
-          });
+          recordFailedCode();
+          sendError(socket, 'GAME_NOT_FOUND', localized('errors.gameNotFound'));
+          return;
+        }
+        if ([playerToken, message.rejoinToken].some((token) => token && game.bannedTokens.includes(token))) {
+          sendError(socket, 'BANNED', localized('errors.banned'));
+          return;
+        }
+        if (game.locked) {
+          sendError(socket, 'GAME_LOCKED', localized('errors.gameLocked'));
           return;
         }
+        if (isSelfPaced(game) && protocolVersion < 4) {
+          sendError(socket, 'UPGRADE_REQUIRED', UPGRADE_REQUIRED_MESSAGE);
+          return;
+        }
+        if (game.players.size >= MAX_PLAYERS_PER_GAME) {
+          sendError(socket, 'GAME_FULL', localized('errors.gameFull'));
+          return;
+        }
+        let name;
+        if (game.nameMode === 'generated') {
+          name = generateNickname(otherPlayerNames(game));
+        } else {
+          const resolved = resolvePlayerName(game, message.name);
+          if (resolved.error) {
+            sendError(socket, 'INVALID_NAME', resolved.error);
+            return;
+          }
+          ({ name } = resolved);
+        }
+        // Clients from before version 3 cannot show the team picker, so they are
+        // placed like in an `auto` game.
+        let team = null;
+        if (game.teamMode === 'choose' && protocolVersion >= 3) {
+          team = findTeam(game, message.teamId);
+          if (!team) {
+            send(socket, {
+              type: 'player:team_required',
+              code,
+              teams: game.teams,
+              message: localized('status.pickTeam'),
+            });
+            return;
+          }
+        } else if (game.teamMode !== 'off') {
+          team = pickSmallestTeam(game.teams, game.players.values());
+        }
         playerId = randomUUID();
         currentGameCode = code;
         const player = {
           id: playerId,
-          name: name.trim().slice(0, 40),
+          rejoinToken: randomUUID(),
+          name,
+          teamId: team ? team.id : null,
           socket,
+          connected: true,
+          disconnectedAt: null,
           hasVoted: false,
-          choiceIndex: undefined,
+          response: null,
+          answeredAt: null,
+          answers: {},
+          lastScoredIndex: null,
+          score: 0,
+          streak: 0,
+          questionIndex: 0,
+          questionStartedAt: null,
+          questionEndsAt: null,
+          questionTimer: null,
         };
         game.players.set(playerId, player);
+        playerToken = player.rejoinToken;
+        persistGame(game);
+        logger.info('player_joined', {
+          code,
+          playerId,
+          teamId: player.teamId,
+          connectionId: clientId,
+          players: game.players.size,
+        });
         send(socket, {
           type: 'player:joined',
           code,
-          question: game.state === 'active' ? game.question : null,
-          options: game.state === 'active' ? game.options : null,
+          playerId,
+          name: player.name,
+          team,
+          rejoinToken: player.rejoinToken,
+          responseMode: game.responseMode,
+          paceMode: game.paceMode,
+          opensAt: game.opensAt,
+          closesAt: game.closesAt,
         });
         send(game.hostSocket, {
           type: 'host:players_updated',
@@ -304,92 +1831,381 @@ wss.on('connection', (socket) => {
         if (game.state === 'active') {
           send(socket, {
             type: 'poll:start',
-            question: game.question,
-            options: game.options,
+            ...serializeQuestion(game),
           });
+        } else if (isSelfPaced(game) && assignmentIsOpen(game)) {
+          sendAssignmentQuestion(game, player);
         }
+        updatePresenters(game);
         break;
       }
-      case 'player:vote': {
-        if (role !== 'player') {
-          send(socket, { type: 'error', message: 'Only players can vote.' });
+      case 'player:rejoin': {
+        if (!canTryCode()) {
           return;
         }
-        if (!currentGameCode || !games.has(currentGameCode)) {
+        const { code, rejoinToken } = message;
+        const game = games.get(code);
+        if (game && game.bannedTokens.includes(rejoinToken)) {
           send(socket, {
-            type: 'error',
-            message: 'Join a game before voting.',
+            type: 'player:rejoin_failed',
+            code: 'BANNED',
+            message: localized('status.rejoinBanned'),
           });
           return;
         }
-        const game = games.get(currentGameCode);
-        if (game.state !== 'active') {
+        const player = game && rejoinToken ? findPlayerByToken(game, rejoinToken) : null;
+        if (!player) {
+          recordFailedToken(rejoinToken);
           send(socket, {
-            type: 'error',
-            message: 'Voting is not open at the moment.',
+            type: 'player:rejoin_failed',
+            code: 'GAME_NOT_FOUND',
+            message: localized('status.playerRejoinFailed'),
           });
           return;
         }
+        playerId = player.id;
+        playerToken = player.rejoinToken;
+        currentGameCode = code;
+        player.socket = socket;
+        player.connected = true;
+        player.disconnectedAt = null;
+        logger.info('player_rejoined', { code, playerId, connectionId: clientId });
+        send(socket, {
+          type: 'player:rejoined',
+          code,
+          playerId,
+          name: player.name,
+          team: findTeam(game, player.teamId),
+          state: game.state,
+          responseMode: game.responseMode,
+          ...(game.state === 'lobby' ? {} : serializeQuestion(game)),
+          results: game.state === 'ended' ? game.results[game.currentIndex] : null,
+          teamResults: game.state === 'ended' ? tallyTeamResults(game) : null,
+          hasVoted: player.hasVoted,
+          response: player.response,
+          correct: game.state === 'ended' ? currentQuestion(game).correct : null,
+          leaderboard: game.state === 'ended' ? buildStandings(game.players.values()).slice(0, LEADERBOARD_SIZE) : null,
+          teamStandings: game.state === 'ended' ? serializeTeamStandings(game) : null,
+          you: serializeStanding(buildStandings(game.players.values()), player),
+          paceMode: game.paceMode,
+          opensAt: game.opensAt,
+          closesAt: game.closesAt,
+        });
+        send(game.hostSocket, {
+          type: 'host:players_updated',
+          players: serializePlayers(game),
+        });
+        if (isSelfPaced(game) && assignmentIsOpen(game)) {
+          sendAssignmentQuestion(game, player);
+        }
+        updatePresenters(game);
+        break;
+      }
+      case 'player:vote': {
+        const game = games.get(currentGameCode);
+        if (isSelfPaced(game)) {
+          voteInAssignment(game, message);
+          return;
+        }
+        if (game.state !== 'active') {
+          sendError(socket, 'POLL_NOT_ACTIVE', localized('errors.votingClosed'));
+          return;
+        }
         const player = game.players.get(playerId);
         if (!player) {
-          send(socket, {
-            type: 'error',
-            message: 'You are not part of this game.',
-          });
+          sendError(socket, 'PLAYER_NOT_FOUND', localized('errors.notInGame'));
           return;
         }
-        if (player.hasVoted) {
-          send(socket, {
-            type: 'error',
-            message: 'You have already voted in this poll.',
-          });
+        const question = currentQuestion(game);
+        if (player.hasVoted && !canChangeVote(game, question)) {
+          sendError(socket, 'ALREADY_VOTED', localized('errors.alreadyVoted'));
           return;
         }
-        const { choiceIndex } = message;
-        if (typeof choiceIndex !== 'number' || choiceIndex < 0 || choiceIndex >= game.options.length) {
-          send(socket, {
-            type: 'error',
-            message: 'Please select a valid option.',
-          });
+        const vote = normalizeResponse(question, message);
+        if (vote.error) {
+          sendError(socket, 'INVALID_RESPONSE', vote.error);
           return;
         }
+        const { response } = vote;
+        const changed = player.hasVoted;
         player.hasVoted = true;
-        player.choiceIndex = choiceIndex;
+        if (isAnonymous(game)) {
+          castBallot(game.ballots, response);
+        } else {
+          player.response = response;
+          // Speed points count from the final answer, not the first one.
+          player.answeredAt = Date.now();
+        }
+        persistGame(game);
+        voteCounter.inc();
+        logger.info('vote', { code: game.code, playerId, questionIndex: game.currentIndex, changed });
         send(socket, {
           type: 'player:voted',
-          choiceIndex,
-        });
-        send(game.hostSocket, {
-          type: 'host:players_updated',
-          players: serializePlayers(game),
-        });
-        const results = countVotes(game);
-        send(game.hostSocket, {
-          type: 'host:poll_progress',
-          results,
+          response,
         });
+        if (!changed) {
+          send(game.hostSocket, {
+            type: 'host:players_updated',
+            players: serializePlayers(game),
+          });
+        }
+        sendPollProgress(game);
+        updatePresenters(game);
+        break;
+      }
+      case 'host:close_assignment': {
+        const game = games.get(currentGameCode);
+        logger.info('assignment_closed_by_host', { code: game.code, connectionId: clientId });
+        closeAssignment(game, 'closed_by_host');
+        break;
+      }
+      case 'presenter:watch': {
+        if (!canTryCode()) {
+          return;
+        }
+        const game = games.get(message.code);
+        if (!game) {
+          recordFailedCode();
+          send(socket, {
+            type: 'presenter:watch_failed',
+            code: 'GAME_NOT_FOUND',
+            message: localized('errors.gameNotFound'),
+          });
+          return;
+        }
+        if (currentGameCode && games.has(currentGameCode)) {
+          games.get(currentGameCode).presenters.delete(socket);
+        }
+        currentGameCode = game.code;
+        game.presenters.add(socket);
+        logger.info('presenter_joined', { code: game.code, connectionId: clientId });
+        send(socket, serializePresenterState(game));
         break;
       }
       default:
-        send(socket, { type: 'error', message: 'Unknown message type received.' });
+        break;
     }
+  }
+
+  // ws reports protocol problems such as oversized frames here and then closes
+  // the socket itself (1009 for frames above maxPayload); without a listener
+  // the error would take the whole process down.
+  socket.on('error', (error) => {
+    logger.warn('websocket_error', { connectionId: clientId, ip, error: error.message });
   });
 
-  socket.on('close', () => {
-    if (role === 'host' && currentGameCode) {
-      destroyGame(currentGameCode);
+  socket.on('close', (closeCode) => {
+    connectionLimiter.reset(clientId);
+    logger.info('connection_closed', { connectionId: clientId, role, code: currentGameCode, closeCode });
+    if (relayTo) {
+      backplane
+        .publish(relayTo, { kind: 'disconnect', from: backplane.instanceId, connectionId: clientId })
+        .catch((error) => {
+          logger.error('relay_failed', { target: relayTo, kind: 'disconnect', error });
+        });
+      return;
+    }
+    if (role === 'host' && currentGameCode && games.has(currentGameCode)) {
+      const game = games.get(currentGameCode);
+      if (game.hostSocket === socket) {
+        detachHost(game);
+      }
     }
     if (role === 'player' && currentGameCode && games.has(currentGameCode) && playerId) {
       const game = games.get(currentGameCode);
-      game.players.delete(playerId);
+      const player = game.players.get(playerId);
+      if (!player || player.socket !== socket) {
+        return;
+      }
+      player.socket = null;
+      player.connected = false;
+      player.disconnectedAt = Date.now();
       send(game.hostSocket, {
         type: 'host:players_updated',
         players: serializePlayers(game),
       });
+      updatePresenters(game);
+    }
+    if (role === 'presenter' && currentGameCode && games.has(currentGameCode)) {
+      games.get(currentGameCode).presenters.delete(socket);
+    }
+  });
+}
+
+// Browsers answer pings without involving the page. A socket that misses one
+// is half-open, usually a laptop that went to sleep, and would otherwise never
+// report a close.
+setInterval(() => {
+  wss.clients.forEach((socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
     }
+    socket.isAlive = false;
+    socket.ping();
   });
+}, HEARTBEAT_INTERVAL_MS).unref();
+
+wss.on('connection', (socket, req) => {
+  const connectionId = randomUUID();
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  localSockets.set(connectionId, socket);
+  socket.on('close', () => {
+    localSockets.delete(connectionId);
+  });
+  const ip = getClientIp(req);
+  const owner = auth.ownerFromRequest(req);
+  socket.locale = i18n.localeFromHeader(req.headers['accept-language']);
+  logger.info('connection_opened', { connectionId, ip, owner });
+  handleConnection(socket, { connectionId, ip, owner });
 });
 
-server.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
+// Load balancers stop sending traffic once this turns 503 during shutdown.
+app.get('/healthz', (req, res) => {
+  res.status(shuttingDown ? 503 : 200).json({
+    status: shuttingDown ? 'shutting_down' : 'ok',
+    instance: INSTANCE_ID,
+    uptimeSeconds: Math.round(process.uptime()),
+    games: games.size,
+  });
 });
+
+// Players and presenters load question images without signing in. The strict
+// policy keeps a file from being treated as a page if a browser sniffs it.
+app.get('/uploads/:id', (req, res, next) => {
+  const { id } = req.params;
+  if (!UPLOAD_ID_PATTERN.test(id)) {
+    res.status(404).end();
+    return;
+  }
+  storage
+    .getUpload(id)
+    .then((data) => {
+      if (!data) {
+        res.status(404).end();
+        return;
+      }
+      res.set({
+        'Content-Type': uploadMimeType(id),
+        'Cache-Control': 'public, max-age=31536000, immutable',
+        'Content-Security-Policy': "default-src 'none'",
+        'X-Content-Type-Options': 'nosniff',
+      });
+      res.send(data);
+    })
+    .catch(next);
+});
+
+// Join links point at whatever address the dashboard was opened on, unless
+// PUBLIC_URL says otherwise, e.g. when the host uses localhost but players
+// come in through a public name.
+function joinUrl(req, code) {
+  const forwardedProto = TRUST_PROXY && req.headers['x-forwarded-proto'];
+  const protocol = forwardedProto ? forwardedProto.split(',')[0].trim() : req.protocol;
+  const origin = PUBLIC_URL || `${protocol}://${req.get('host')}`;
+  return `${origin}/player.html?code=${encodeURIComponent(code)}`;
+}
+
+app.get('/join/:code/qr.svg', (req, res) => {
+  const { code } = req.params;
+  const svg = /^\d{6}$/.test(code) ? renderQrSvg(joinUrl(req, code)) : null;
+  if (!svg) {
+    res.status(404).end();
+    return;
+  }
+  res.set({
+    'Content-Type': 'image/svg+xml',
+    'Cache-Control': 'private, max-age=3600',
+    'Content-Security-Policy': "default-src 'none'",
+    'X-Content-Type-Options': 'nosniff',
+  });
+  res.send(svg);
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+function translateForRequest(req, message) {
+  return i18n.translate(i18n.localeFromHeader(req.headers['accept-language']), message);
+}
+
+app.use(
+  '/api',
+  createApiRouter({
+    games,
+    storage,
+    auth,
+    logger,
+    translate: translateForRequest,
+    getClientIp,
+    codeLimiter: codeIpLimiter,
+    maxUploadBytes: UPLOAD_MAX_BYTES,
+    maxUploadStorageBytes: UPLOAD_STORAGE_MAX_BYTES,
+    createGame: (questions, options) =>
+      createGame(questions, options).then((game) => {
+        detachHost(game);
+        return game;
+      }),
+    serializeGameSummary,
+    serializeGameDetail,
+    serializeResults,
+  })
+);
+app.use('/api', createApiErrorHandler({ logger, translate: translateForRequest }));
+
+function shutdown() {
+  shuttingDown = true;
+  logger.info('server_stopping');
+  Promise.all([
+    storage.close().catch((error) => {
+      logger.error('storage_close_failed', { error });
+    }),
+    backplane.close().catch((error) => {
+      logger.error('backplane_close_failed', { error });
+    }),
+  ]).finally(() => {
+    process.exit(0);
+  });
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+Promise.all([import('./public/js/protocol.mjs'), import('./public/js/locales.mjs'), storage.loadGames()])
+  .then(([protocolModule, localesModule, records]) => {
+    protocol = protocolModule;
+    i18n = createTranslator({
+      directory: path.join(__dirname, 'public', 'locales'),
+      locales: localesModule.LOCALES,
+      defaultLocale: localesModule.DEFAULT_LOCALE,
+      matchLocale: localesModule.matchLocale,
+      formatMessage: localesModule.formatMessage,
+    });
+    backplane.onClaimLost(endLostGame);
+    return Promise.all([
+      backplane.subscribe(handleEnvelope),
+      ...records.map((record) =>
+        backplane.claimGame(record.code).then((claimed) => {
+          if (claimed) {
+            restoreGame(record);
+            logger.info('game_restored', { code: record.code, gameId: record.id });
+          } else {
+            logger.warn('game_restore_skipped', { code: record.code, reason: 'owned_elsewhere' });
+          }
+        })
+      ),
+    ]);
+  })
+  .then(() => {
+    server.listen(PORT, () => {
+      logger.info('server_listening', { port: server.address().port });
+    });
+  })
+  .catch((error) => {
+    logger.error('server_start_failed', { error });
+    process.exit(1);
+  });
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { randomUUID } = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const { startServer, connect } = require('./helpers');
+const { startRespServer } = require('./respServer');
+const { createRedisBackplane } = require('../lib/backplane/redis');
+
+const QUESTIONS = [
+  { question: 'Q1', options: ['a', 'b'], correct: [0] },
+  { question: 'Q2', options: ['x', 'y'] },
+];
+
+test('redis backplane', async (t) => {
+  const redis = await startRespServer();
+  const env = (instanceId) => ({ BACKPLANE_DRIVER: 'redis', REDIS_URL: redis.url, INSTANCE_ID: instanceId });
+  const a = await startServer(env('a'));
+  const b = await startServer(env('b'));
+  t.after(async () => {
+    await Promise.all([a.stop(), b.stop()]);
+    await redis.close();
+  });
+
+  const host = await connect(a.port, { role: 'host' });
+  host.send({ type: 'host:create_game', questions: QUESTIONS });
+  const { code, hostToken } = await host.next('host:game_created');
+  let joined;
+  let player;
+
+  await t.test('a player on the other instance joins the game', async () => {
+    player = await connect(b.port, { role: 'player' });
+    player.send({ type: 'player:join', code, name: 'Rita' });
+    joined = await player.next('player:joined');
+    const update = await host.next((message) => message.type === 'host:players_updated' && message.players.length);
+    assert.deepStrictEqual(update.players.map((entry) => entry.name), ['Rita']);
+  });
+
+  await t.test('votes and errors travel both ways', async () => {
+    host.send({ type: 'host:start_poll' });
+    await player.next('poll:start');
+    player.send({ type: 'player:vote', choiceIndex: 0 });
+    await player.next('player:voted');
+    player.send({ type: 'player:vote', choiceIndex: 1 });
+    assert.strictEqual((await player.next('error')).code, 'ALREADY_VOTED');
+    host.send({ type: 'host:end_poll' });
+    assert.deepStrictEqual((await player.next('poll:results')).results.counts, [1, 0]);
+
+    const stranger = await connect(b.port, { role: 'player' });
+    stranger.send({ type: 'player:join', code: '000000', name: 'Nobody' });
+    assert.strictEqual((await stranger.next('error')).code, 'GAME_NOT_FOUND');
+    stranger.close();
+  });
+
+  await t.test('players and hosts resume on the other instance', async () => {
+    player.close();
+    await host.next((message) => message.type === 'host:players_updated' && !message.players[0].connected);
+    const returning = await connect(b.port, { role: 'player' });
+    returning.send({ type: 'player:rejoin', code, rejoinToken: joined.rejoinToken });
+    assert.strictEqual((await returning.next('player:rejoined')).name, 'Rita');
+
+    host.close();
+    await returning.next('game:host_status');
+    const movedHost = await connect(b.port, { role: 'host' });
+    movedHost.send({ type: 'host:resume', code, hostToken });
+    assert.strictEqual((await movedHost.next('host:resumed')).players.length, 1);
+    movedHost.send({ type: 'host:next_question' });
+    assert.strictEqual((await returning.next('poll:reset')).message, 'Get ready for question 2 of 2…');
+    returning.close();
+    movedHost.close();
+  });
+
+  await t.test('a connection is routed afresh once its relayed attempt fails or its game ends', async () => {
+    const localHost = await connect(b.port, { role: 'host' });
+    localHost.send({ type: 'host:create_game', questions: QUESTIONS });
+    const local = await localHost.next('host:game_created');
+    const remoteHost = await connect(a.port, { role: 'host' });
+    remoteHost.send({ type: 'host:create_game', questions: QUESTIONS, paceMode: 'self', closesAt: Date.now() + 60000 });
+    const remote = await remoteHost.next('host:game_created');
+
+    const stale = await connect(b.port, { role: 'player' });
+    stale.send({ type: 'player:rejoin', code, rejoinToken: randomUUID() });
+    await stale.next('player:rejoin_failed');
+    stale.send({ type: 'player:join', code: local.code, name: 'Sam' });
+    await stale.next('player:joined');
+    stale.close();
+
+    const student = await connect(b.port, { role: 'player' });
+    student.send({ type: 'player:join', code: remote.code, name: 'Tia' });
+    await student.next('player:joined');
+    remoteHost.send({ type: 'host:close_assignment' });
+    await student.next('game:ended');
+    student.send({ type: 'player:join', code: local.code, name: 'Tia' });
+    await student.next('player:joined');
+    student.close();
+    remoteHost.close();
+    localHost.close();
+  });
+});
+
+test('redis claims', async (t) => {
+  const redis = await startRespServer();
+  const warnings = [];
+  const logger = { warn: (event, fields) => warnings.push({ event, ...fields }) };
+  const backplane = createRedisBackplane({ url: redis.url, instanceId: 'a', logger, refreshIntervalMs: 50 });
+  const lost = [];
+  backplane.onClaimLost((code) => lost.push(code));
+  t.after(async () => {
+    await backplane.close();
+    await redis.close();
+  });
+
+  await t.test('a refresh does not take back a code another instance claimed, and the game is ended', async () => {
+    assert.strictEqual(await backplane.claimGame('111111'), true);
+    // As if the claim had expired and another instance had claimed the code.
+    redis.keys.set('kaboot:game:111111', { value: 'b', expiresAt: 0 });
+    await sleep(150);
+    assert.strictEqual(await backplane.findGame('111111'), 'b');
+    assert.deepStrictEqual(warnings, [{ event: 'game_claim_lost', code: '111111', owner: 'b' }]);
+    assert.deepStrictEqual(lost, ['111111']);
+  });
+
+  await t.test('a claim that vanished is claimed again', async () => {
+    assert.strictEqual(await backplane.claimGame('222222'), true);
+    // As if Redis had restarted.
+    redis.keys.clear();
+    await sleep(150);
+    assert.strictEqual(await backplane.findGame('222222'), 'a');
+    assert.strictEqual(warnings.length, 1);
+    assert.deepStrictEqual(lost, ['111111']);
+  });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { randomUUID } = require('crypto');
+const { startServer, connect } = require('./helpers');
+
+const UNKNOWN_CODE = '000000';
+
+test('code limits', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const host = await connect(server.port, { role: 'host' });
+  host.send({ type: 'host:create_game', questions: [{ question: 'Ready?', options: ['Yes', 'No'] }] });
+  const { code } = await host.next('host:game_created');
+  t.after(() => host.close());
+
+  function tryJoin(player, joinCode) {
+    player.send({ type: 'player:join', code: joinCode, name: 'Guess' });
+    return player.next((message) => message.type === 'player:joined' || message.type === 'error');
+  }
+
+  async function spendConnectionBudget() {
+    const player = await connect(server.port, { role: 'player' });
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      assert.strictEqual((await tryJoin(player, UNKNOWN_CODE)).code, 'GAME_NOT_FOUND');
+    }
+    return player;
+  }
+
+  await t.test('stale rejoin and resume tokens are not charged', async () => {
+    const player = await connect(server.port, { role: 'player' });
+    for (let attempt = 0; attempt < 15; attempt += 1) {
+      player.send({ type: 'player:rejoin', code: UNKNOWN_CODE, rejoinToken: randomUUID() });
+      assert.strictEqual((await player.next('player:rejoin_failed')).code, 'GAME_NOT_FOUND');
+    }
+    const stale = await connect(server.port, { role: 'host' });
+    for (let attempt = 0; attempt < 15; attempt += 1) {
+      stale.send({ type: 'host:resume', code: UNKNOWN_CODE, hostToken: randomUUID() });
+      await stale.next('host:resume_failed');
+    }
+    assert.strictEqual((await tryJoin(player, code)).type, 'player:joined');
+    player.close();
+    stale.close();
+  });
+
+  await t.test('a connection that keeps guessing is cut off without locking out its network', async () => {
+    const guesser = await spendConnectionBudget();
+    assert.strictEqual((await tryJoin(guesser, UNKNOWN_CODE)).code, 'TOO_MANY_ATTEMPTS');
+    guesser.close();
+
+    const classmate = await connect(server.port, { role: 'player' });
+    assert.strictEqual((await tryJoin(classmate, code)).type, 'player:joined');
+    classmate.close();
+  });
+
+  await t.test('the network as a whole has a larger budget', async () => {
+    // The previous check already spent 10 of the 100.
+    const guessers = [];
+    for (let connection = 0; connection < 9; connection += 1) {
+      guessers.push(await spendConnectionBudget());
+    }
+    const late = await connect(server.port, { role: 'player' });
+    assert.strictEqual((await tryJoin(late, code)).code, 'TOO_MANY_ATTEMPTS');
+    guessers.forEach((guesser) => guesser.close());
+  });
+});
+
+test('code limits over HTTP', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const base = `http://localhost:${server.port}`;
+
+  const created = await fetch(`${base}/api/games`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ questions: [{ question: 'Ready?', options: ['Yes', 'No'] }] }),
+  });
+  const { code, hostToken } = await created.json();
+
+  await t.test('the game list only shows the game of the host token that is sent', async () => {
+    assert.deepStrictEqual((await (await fetch(`${base}/api/games`)).json()).games, []);
+    const listed = await fetch(`${base}/api/games`, { headers: { 'X-Host-Token': hostToken } });
+    assert.deepStrictEqual((await listed.json()).games.map((game) => game.code), [code]);
+  });
+
+  await t.test('unknown codes spend the per-IP budget', async () => {
+    let response;
+    let attempts = 0;
+    do {
+      attempts += 1;
+      response = await fetch(`${base}/api/games/${UNKNOWN_CODE}/results`);
+    } while (response.status === 404 && attempts < 110);
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual((await response.json()).code, 'TOO_MANY_ATTEMPTS');
+    assert.strictEqual(attempts, 101);
+
+    // The WebSocket shares the budget.
+    const player = await connect(server.port, { role: 'player' });
+    player.send({ type: 'player:join', code, name: 'Ann' });
+    assert.strictEqual((await player.next('error')).code, 'TOO_MANY_ATTEMPTS');
+    player.close();
+  });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { importDeck } = require('../lib/decks');
+
+function importCsv(lines) {
+  return importDeck({ filename: 'deck.csv', content: lines.join('\r\n') });
+}
+
+test('csv decks', async (t) => {
+  await t.test('quoted fields keep their commas, quotes and line breaks', () => {
+    const { questions } = importCsv([
+      '\uFEFFQuestion,Type,Option 1,Option 2,Option 10,Correct,Time limit',
+      '"Capital of France, Europe?",multi,Paris,"The ""City of Light""",Lyon,1|3,20',
+      '"Which line',
+      'is second?",,One,Two,,2,',
+    ]);
+    assert.deepStrictEqual(
+      questions.map(({ question, options, correct, timeLimit }) => ({ question, options, correct, timeLimit })),
+      [
+        {
+          question: 'Capital of France, Europe?',
+          options: ['Paris', 'The "City of Light"', 'Lyon'],
+          correct: [0, 2],
+          timeLimit: 20,
+        },
+        { question: 'Which line\r\nis second?', options: ['One', 'Two'], correct: [1], timeLimit: null },
+      ]
+    );
+  });
+
+  await t.test('errors name the line each row starts on', () => {
+    const result = importCsv([
+      'question,option1,option2,correct',
+      '"A question',
+      'over two lines",Yes,No,1',
+      '',
+      'No options,,,',
+      '"Another',
+      'long one",Yes,No,3',
+    ]);
+    assert.deepStrictEqual(
+      result.errors.map(({ row }) => row),
+      [
+        { key: 'decks.row', params: { number: 5 } },
+        { key: 'decks.row', params: { number: 6 } },
+      ]
+    );
+  });
+
+  await t.test('a quote that is never closed is reported', () => {
+    const result = importCsv(['question,option1', '"Open,Yes']);
+    assert.deepStrictEqual(result.error, { key: 'decks.unterminatedQuote', params: {} });
+  });
+});
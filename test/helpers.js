@@ -0,0 +1,108 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const WebSocket = require('ws');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const WAIT_MS = 3000;
+
+// Runs server.js in its own process on a free port. `env` is added to the
+// environment, and `stop()` shuts the server down the way SIGTERM would.
+function startServer(env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER_PATH], {
+      env: { ...process.env, PORT: '0', ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const logs = [];
+    let pending = '';
+    child.stderr.on('data', (chunk) => logs.push(chunk.toString()));
+    child.stdout.on('data', (chunk) => {
+      pending += chunk;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lines.forEach((line) => {
+        logs.push(line);
+        const entry = JSON.parse(line);
+        if (entry.event === 'server_listening') {
+          resolve({ port: entry.port, logs, stop: () => stopProcess(child) });
+        }
+      });
+    });
+    child.once('exit', (code) => {
+      reject(new Error(`server.js exited with ${code} before listening:\n${logs.join('\n')}`));
+    });
+  });
+}
+
+function stopProcess(child) {
+  if (child.exitCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    child.once('exit', () => resolve());
+    child.kill('SIGTERM');
+  });
+}
+
+// A WebSocket client that keeps every message it receives until a test asks
+// for it with `next(type)` or `next((message) => ...)`.
+async function connect(port, { role, protocolVersion, locale, headers } = {}) {
+  const protocol = await import('../public/js/protocol.mjs');
+  const socket = new WebSocket(`ws://localhost:${port}/ws`, { headers });
+  const inbox = [];
+  const waiters = [];
+  socket.on('message', (data) => {
+    inbox.push(JSON.parse(data.toString()));
+    waiters.slice().forEach((waiter) => waiter.check());
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+
+  const client = {
+    inbox,
+    send(message) {
+      socket.send(JSON.stringify(message));
+    },
+    next(match, ms = WAIT_MS) {
+      const matches = typeof match === 'function' ? match : (message) => message.type === match;
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          check() {
+            const index = inbox.findIndex(matches);
+            if (index === -1) {
+              return false;
+            }
+            clearTimeout(waiter.timer);
+            waiters.splice(waiters.indexOf(waiter), 1);
+            resolve(inbox.splice(index, 1)[0]);
+            return true;
+          },
+        };
+        waiters.push(waiter);
+        if (!waiter.check()) {
+          waiter.timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            reject(new Error(`Timed out waiting for ${match}; received ${JSON.stringify(inbox)}`));
+          }, ms);
+        }
+      });
+    },
+    close() {
+      socket.close();
+    },
+  };
+  if (role) {
+    client.send({
+      type: 'identify',
+      role,
+      protocolVersion: protocolVersion || protocol.PROTOCOL_VERSION,
+      ...(locale ? { locale } : {}),
+    });
+    await client.next('identified');
+  }
+  return client;
+}
+
+module.exports = { startServer, connect };
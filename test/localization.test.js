@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect } = require('./helpers');
+
+test('localization', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('schema errors are sent in the language of the connection', async () => {
+    const english = await connect(server.port, { role: 'player' });
+    english.send({ type: 'player:join', code: 123456 });
+    assert.strictEqual((await english.next('error')).message, 'The game code must be a string.');
+    english.close();
+
+    const hebrew = await connect(server.port, { role: 'player', locale: 'he' });
+    hebrew.send({ type: 'player:join', code: 123456 });
+    assert.strictEqual((await hebrew.next('error')).message, '"קוד משחק" חייב להיות מחרוזת.');
+    hebrew.send({ type: 'player:rejoin', code: '123456' });
+    assert.strictEqual((await hebrew.next('error')).message, 'חסר השדה "אסימון הצטרפות מחדש".');
+    hebrew.close();
+
+    const arabic = await connect(server.port, { role: 'player', locale: 'ar' });
+    arabic.send({ type: 'nonsense' });
+    const unknown = await arabic.next('error');
+    assert.strictEqual(unknown.code, 'UNKNOWN_TYPE');
+    assert.strictEqual(unknown.message, 'تم استلام نوع رسالة غير معروف.');
+    arabic.close();
+  });
+});
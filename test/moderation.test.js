@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect } = require('./helpers');
+
+const QUESTIONS = [{ question: 'Ready?', options: ['Yes', 'No'] }];
+
+test('moderation', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  async function createGame() {
+    const host = await connect(server.port, { role: 'host' });
+    host.send({ type: 'host:create_game', questions: QUESTIONS });
+    const game = await host.next('host:game_created');
+    return { host, code: game.code };
+  }
+
+  async function join(player, code, name, extra = {}) {
+    player.send({ type: 'player:join', code, name, ...extra });
+    return player.next((message) => message.type === 'player:joined' || message.type === 'error');
+  }
+
+  await t.test('a banned connection cannot join again under a new name', async () => {
+    const { host, code } = await createGame();
+    const player = await connect(server.port, { role: 'player' });
+    const joined = await join(player, code, 'Mallory');
+    host.send({ type: 'host:ban_player', playerId: joined.playerId });
+    assert.strictEqual((await player.next('player:removed')).banned, true);
+
+    const retry = await join(player, code, 'Not Mallory');
+    assert.strictEqual(retry.type, 'error');
+    assert.strictEqual(retry.code, 'BANNED');
+    player.close();
+    host.close();
+  });
+
+  await t.test('a new connection that sends the banned token cannot join', async () => {
+    const { host, code } = await createGame();
+    const player = await connect(server.port, { role: 'player' });
+    const joined = await join(player, code, 'Mallory');
+    host.send({ type: 'host:ban_player', playerId: joined.playerId });
+    await player.next('player:removed');
+    player.close();
+
+    const reloaded = await connect(server.port, { role: 'player' });
+    const retry = await join(reloaded, code, 'Mallory', { rejoinToken: joined.rejoinToken });
+    assert.strictEqual(retry.code, 'BANNED');
+
+    // Someone else on the same network is not affected.
+    const classmate = await connect(server.port, { role: 'player' });
+    assert.strictEqual((await join(classmate, code, 'Alice')).type, 'player:joined');
+    reloaded.close();
+    classmate.close();
+    host.close();
+  });
+
+  await t.test('a kicked player can join again', async () => {
+    const { host, code } = await createGame();
+    const player = await connect(server.port, { role: 'player' });
+    const joined = await join(player, code, 'Bob');
+    host.send({ type: 'host:kick_player', playerId: joined.playerId });
+    assert.strictEqual((await player.next('player:removed')).banned, false);
+    assert.strictEqual((await join(player, code, 'Bob')).type, 'player:joined');
+    player.close();
+    host.close();
+  });
+});
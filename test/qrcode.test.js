@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jsQR = require('jsqr');
+const { encodeQrCode, renderQrSvg } = require('../lib/qrcode');
+
+// Draws the modules the way a screen would, with a quiet zone, for a decoder
+// that reads RGBA pixels.
+function decode(modules, { scale = 4, margin = 4 } = {}) {
+  const size = (modules.length + margin * 2) * scale;
+  const pixels = new Uint8ClampedArray(size * size * 4).fill(255);
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (!dark) {
+        return;
+      }
+      for (let dy = 0; dy < scale; dy += 1) {
+        for (let dx = 0; dx < scale; dx += 1) {
+          const offset = (((y + margin) * scale + dy) * size + (x + margin) * scale + dx) * 4;
+          pixels.fill(0, offset, offset + 3);
+        }
+      }
+    });
+  });
+  return jsQR(pixels, size, size);
+}
+
+test('qr codes', async (t) => {
+  await t.test('a join link reads back from the code', () => {
+    const url = 'https://polls.example.org/player.html?code=123456';
+    const modules = encodeQrCode(url);
+    assert.strictEqual(modules.length, 33);
+    assert.strictEqual(decode(modules).data, url);
+  });
+
+  await t.test('every version reads back', () => {
+    // The byte capacity of each version at error correction level M.
+    [14, 26, 42, 62, 84, 106, 122, 152, 180, 213].forEach((length, index) => {
+      const text = 'https://a.io/?'.padEnd(length, 'x');
+      const modules = encodeQrCode(text);
+      assert.strictEqual(modules.length, 21 + index * 4, `version ${index + 1}`);
+      assert.strictEqual(decode(modules).data, text, `version ${index + 1}`);
+    });
+  });
+
+  await t.test('text beyond version 10 is refused', () => {
+    assert.strictEqual(encodeQrCode('x'.repeat(214)), null);
+    assert.strictEqual(renderQrSvg('x'.repeat(214)), null);
+  });
+});
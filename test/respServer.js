@@ -0,0 +1,109 @@
+const net = require('net');
+const { parseReply } = require('../lib/backplane/resp');
+
+function bulk(value) {
+  return value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// A stand-in for Redis that keeps keys in memory and answers only the commands
+// the redis backplane sends, so the backplane can be checked without a Redis
+// server. `keys` is exposed so a check can change them behind an instance's back.
+function startRespServer() {
+  const keys = new Map();
+  const subscribers = new Map();
+  const sockets = new Set();
+
+  function read(key) {
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  }
+
+  function run(socket, [name, ...args]) {
+    switch (String(name).toUpperCase()) {
+      case 'AUTH':
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'GET':
+        return bulk(read(args[0]));
+      case 'SET': {
+        const [key, value, ...options] = args;
+        const flags = options.map((option) => option.toUpperCase());
+        const exists = read(key) !== null;
+        if ((flags.includes('NX') && exists) || (flags.includes('XX') && !exists)) {
+          return bulk(null);
+        }
+        const px = flags.indexOf('PX');
+        keys.set(key, { value, expiresAt: px === -1 ? 0 : Date.now() + Number(options[px + 1]) });
+        return '+OK\r\n';
+      }
+      case 'PEXPIRE': {
+        if (read(args[0]) === null) {
+          return ':0\r\n';
+        }
+        keys.get(args[0]).expiresAt = Date.now() + Number(args[1]);
+        return ':1\r\n';
+      }
+      case 'DEL': {
+        const existed = read(args[0]) !== null;
+        keys.delete(args[0]);
+        return `:${existed ? 1 : 0}\r\n`;
+      }
+      case 'PUBLISH': {
+        const listeners = subscribers.get(args[0]) || new Set();
+        listeners.forEach((listener) => listener.write(`*3\r\n${bulk('message')}${bulk(args[0])}${bulk(args[1])}`));
+        return `:${listeners.size}\r\n`;
+      }
+      case 'SUBSCRIBE':
+        return args
+          .map((channel, index) => {
+            if (!subscribers.has(channel)) {
+              subscribers.set(channel, new Set());
+            }
+            subscribers.get(channel).add(socket);
+            return `*3\r\n${bulk('subscribe')}${bulk(channel)}:${index + 1}\r\n`;
+          })
+          .join('');
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      let request;
+      while (offset < buffer.length && (request = parseReply(buffer, offset))) {
+        offset = request.offset;
+        socket.write(run(socket, request.value));
+      }
+      buffer = buffer.subarray(offset);
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      sockets.delete(socket);
+      subscribers.forEach((listeners) => listeners.delete(socket));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        keys,
+        close() {
+          sockets.forEach((socket) => socket.destroy());
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { startRespServer };
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect } = require('./helpers');
+
+const QUESTIONS = [
+  { question: 'First?', options: ['a', 'b'], correct: [0] },
+  { question: 'Second?', options: ['c', 'd'], correct: [1] },
+];
+
+test('results', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const base = `http://localhost:${server.port}`;
+
+  const host = await connect(server.port, { role: 'host' });
+  host.send({ type: 'host:create_game', questions: QUESTIONS });
+  const { code, hostToken } = await host.next('host:game_created');
+  t.after(() => host.close());
+  const player = await connect(server.port, { role: 'player' });
+  player.send({ type: 'player:join', code, name: 'Alice' });
+  await player.next('player:joined');
+  t.after(() => player.close());
+  host.send({ type: 'host:start_poll' });
+  await player.next('poll:start');
+  player.send({ type: 'player:vote', choiceIndex: 1 });
+  await player.next('player:voted');
+  host.send({ type: 'host:end_poll' });
+  await player.next('poll:results');
+
+  await t.test('the game code alone does not open results or exports', async () => {
+    for (const path of ['results', 'export?format=csv&answers=1']) {
+      assert.strictEqual((await fetch(`${base}/api/games/${code}/${path}`)).status, 404);
+      const guessed = await fetch(`${base}/api/games/${code}/${path}`, { headers: { 'X-Host-Token': 'guess' } });
+      assert.strictEqual(guessed.status, 404);
+    }
+  });
+
+  await t.test('the host token opens them, without the answers to questions not asked yet', async () => {
+    const response = await fetch(`${base}/api/games/${code}/results`, { headers: { 'X-Host-Token': hostToken } });
+    const results = await response.json();
+    assert.deepStrictEqual(results.questions[0].correct, [0]);
+    assert.strictEqual('correct' in results.questions[1], false);
+
+    const csv = await fetch(`${base}/api/games/${code}/export?format=csv&answers=1&hostToken=${hostToken}`);
+    assert.strictEqual(csv.status, 200);
+    assert.match(await csv.text(), /Alice/);
+  });
+});
+
+test('archived sessions', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const base = `http://localhost:${server.port}`;
+
+  const host = await connect(server.port, { role: 'host' });
+  host.send({ type: 'host:create_game', questions: QUESTIONS, paceMode: 'self', closesAt: Date.now() + 60000 });
+  const { code, hostToken } = await host.next('host:game_created');
+  const player = await connect(server.port, { role: 'player' });
+  player.send({ type: 'player:join', code, name: 'Alice' });
+  await player.next('player:joined');
+  await player.next('poll:start');
+  player.send({ type: 'player:vote', choiceIndex: 1, questionIndex: 0 });
+  await player.next('player:voted');
+  host.send({ type: 'host:close_assignment' });
+  const { sessionId } = await host.next('game:ended');
+  player.close();
+  host.close();
+
+  await t.test('a session is only listed and opened with its host token', async () => {
+    assert.deepStrictEqual((await (await fetch(`${base}/api/sessions`)).json()).sessions, []);
+    assert.strictEqual((await fetch(`${base}/api/sessions/${sessionId}`)).status, 404);
+    assert.strictEqual((await fetch(`${base}/api/sessions/${sessionId}/export?format=csv&answers=1`)).status, 404);
+
+    const headers = { 'X-Host-Token': hostToken };
+    const listed = await (await fetch(`${base}/api/sessions`, { headers })).json();
+    assert.deepStrictEqual(listed.sessions.map((session) => session.id), [sessionId]);
+    const csv = await fetch(`${base}/api/sessions/${sessionId}/export?format=csv&answers=1&hostToken=${hostToken}`);
+    assert.match(await csv.text(), /Alice/);
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect } = require('./helpers');
+
+const QUESTIONS = [{ question: 'Ready?', options: ['Yes', 'No'] }];
+
+test('roles', async (t) => {
+  const server = await startServer({ HOST_RECONNECT_GRACE_MS: '500' });
+  t.after(() => server.stop());
+
+  async function createGame() {
+    const host = await connect(server.port, { role: 'host' });
+    host.send({ type: 'host:create_game', questions: QUESTIONS });
+    const game = await host.next('host:game_created');
+    return { host, code: game.code, hostToken: game.hostToken };
+  }
+
+  await t.test('a player cannot become the host of the game they joined', async () => {
+    const { host, code } = await createGame();
+    const classmate = await connect(server.port, { role: 'player' });
+    classmate.send({ type: 'player:join', code, name: 'Alice' });
+    const alice = await classmate.next('player:joined');
+    const player = await connect(server.port, { role: 'player' });
+    player.send({ type: 'player:join', code, name: 'Mallory' });
+    await player.next('player:joined');
+
+    player.send({ type: 'identify', role: 'host' });
+    assert.strictEqual((await player.next('error')).code, 'ALREADY_IDENTIFIED');
+    player.send({ type: 'host:ban_player', playerId: alice.playerId });
+    assert.strictEqual((await player.next('error')).code, 'FORBIDDEN');
+    player.send({ type: 'host:start_poll' });
+    assert.strictEqual((await player.next('error')).code, 'FORBIDDEN');
+    assert.ok(!classmate.inbox.some((message) => message.type === 'player:removed' || message.type === 'poll:start'));
+    player.close();
+    classmate.close();
+    host.close();
+  });
+
+  await t.test('a host session that was replaced no longer steers the game', async () => {
+    const { host, code, hostToken } = await createGame();
+    const replacement = await connect(server.port, { role: 'host' });
+    replacement.send({ type: 'host:resume', code, hostToken });
+    await replacement.next('host:resumed');
+    await host.next('host:session_replaced');
+
+    host.send({ type: 'host:start_poll' });
+    assert.strictEqual((await host.next('error')).code, 'FORBIDDEN');
+    replacement.send({ type: 'host:start_poll' });
+    await replacement.next('host:poll_started');
+    replacement.close();
+    host.close();
+  });
+
+  await t.test('a host that moves on to another game leaves the one it was running', async () => {
+    const { host, code } = await createGame();
+    const player = await connect(server.port, { role: 'player' });
+    player.send({ type: 'player:join', code, name: 'Alice' });
+    await player.next('player:joined');
+    const other = await createGame();
+    other.host.close();
+
+    host.send({ type: 'host:resume', code: other.code, hostToken: other.hostToken });
+    await host.next('host:resumed');
+    assert.strictEqual((await player.next('game:host_status')).connected, false);
+    await player.next('game:ended');
+
+    const viewer = await connect(server.port, { role: 'presenter' });
+    viewer.send({ type: 'presenter:watch', code: other.code });
+    await viewer.next('presenter:state');
+    host.send({ type: 'host:create_game', questions: QUESTIONS });
+    await host.next('host:game_created');
+    const state = await viewer.next((message) => message.type === 'presenter:state' && !message.hostConnected);
+    assert.strictEqual(state.code, other.code);
+    viewer.close();
+    player.close();
+    host.close();
+  });
+});
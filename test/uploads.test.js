@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function png(fill, size = 300) {
+  return Buffer.concat([PNG_SIGNATURE, Buffer.alloc(size - PNG_SIGNATURE.length, fill)]);
+}
+
+test('uploads', async (t) => {
+  const server = await startServer({ UPLOAD_STORAGE_MAX_BYTES: '1000' });
+  t.after(() => server.stop());
+  const base = `http://localhost:${server.port}`;
+  let attempts = 0;
+
+  async function upload(body, hostToken) {
+    const headers = { 'Content-Type': 'image/png' };
+    if (hostToken) {
+      headers['X-Host-Token'] = hostToken;
+    }
+    const response = await fetch(`${base}/api/uploads`, { method: 'POST', headers, body });
+    return { status: response.status, body: await response.json() };
+  }
+
+  const created = await fetch(`${base}/api/games`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ questions: [{ question: 'Ready?', options: ['Yes', 'No'] }] }),
+  });
+  const { hostToken } = await created.json();
+
+  await t.test('without sign-in, only the host of a live game can upload', async () => {
+    assert.strictEqual((await upload(png(1))).body.code, 'UNAUTHORIZED');
+    assert.strictEqual((await upload(png(1), 'not-a-host-token')).body.code, 'UNAUTHORIZED');
+    attempts += 1;
+    assert.strictEqual((await upload(png(1), hostToken)).status, 201);
+  });
+
+  await t.test('new images are refused once the store is full', async () => {
+    attempts += 2;
+    assert.strictEqual((await upload(png(2), hostToken)).status, 201);
+    assert.strictEqual((await upload(png(3), hostToken)).status, 201);
+    attempts += 1;
+    const full = await upload(png(4), hostToken);
+    assert.strictEqual(full.status, 507);
+    assert.strictEqual(full.body.code, 'UPLOAD_STORAGE_FULL');
+
+    // An image that is already stored takes no more room.
+    attempts += 1;
+    assert.strictEqual((await upload(png(1), hostToken)).status, 201);
+  });
+
+  await t.test('each IP address has an upload budget', async () => {
+    let response;
+    do {
+      attempts += 1;
+      response = await upload(png(1), hostToken);
+    } while (response.status === 201 && attempts < 40);
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual(response.body.code, 'TOO_MANY_UPLOADS');
+    assert.strictEqual(attempts, 31);
+  });
+});